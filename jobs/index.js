@@ -0,0 +1,6 @@
+// Registers every scheduled job with the scheduler.
+require('./userCleanup');
+require('./retention');
+require('./noteRevisionPrune');
+
+module.exports = require('./scheduler');
@@ -0,0 +1,14 @@
+const noteRevisionService = require('../services/noteRevisionService');
+const { defineJob } = require('./scheduler');
+
+// Drops revisions older than NOTE_REVISION_MAX_AGE_DAYS; a no-op when unset.
+const noteRevisionPruneJob = defineJob({
+    name: 'noteRevisionPrune',
+    schedule: '0 45 3 * * *',
+    run: async () => {
+        const { deletedCount } = await noteRevisionService.pruneExpiredRevisions();
+        return { deletedCount };
+    },
+});
+
+module.exports = { noteRevisionPruneJob };
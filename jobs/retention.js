@@ -0,0 +1,36 @@
+const retentionService = require('../services/retentionService');
+const { publishChange } = require('../websocket');
+const logger = require('../utils/logger');
+const { defineJob } = require('./scheduler');
+
+// Daily, off-peak. A failure for one user is counted and does not stop the run.
+const retentionJob = defineJob({
+    name: 'retention',
+    schedule: '0 15 3 * * *',
+    run: async () => {
+        const details = { users: 0, history: 0, closedTabs: 0, failures: 0 };
+
+        for await (const { username, settings } of retentionService.usersWithRetention()) {
+            try {
+                const result = await retentionService.pruneUser(username, settings.retention);
+                details.users += 1;
+                details.history += result.history;
+                details.closedTabs += result.closedTabs;
+
+                if (result.history || result.closedTabs) {
+                    await publishChange(username, 'retentionApplied', {
+                        historyBefore: result.historyBefore,
+                        closedTabsBefore: result.closedTabsBefore,
+                    });
+                }
+            } catch (err) {
+                details.failures += 1;
+                logger.error(`Retention failed for user ${username}: ${err.message}`);
+            }
+        }
+
+        return { deletedCount: details.history + details.closedTabs, details };
+    },
+});
+
+module.exports = { retentionJob };
@@ -0,0 +1,74 @@
+const cron = require('cron');
+const JobRun = require('../models/jobRun');
+const logger = require('../utils/logger');
+
+const jobs = new Map();
+
+// Registers a cron job. `run` resolves to `{ deletedCount, details }`, which is
+// stored on the job-run record along with timing and any error.
+const defineJob = ({ name, schedule, run }) => {
+    const job = { name, schedule, run, running: false };
+    job.cronJob = new cron.CronJob(schedule, () => runJob(name));
+    jobs.set(name, job);
+    return job;
+};
+
+// Runs a job now. A job never overlaps itself: while one run is in progress,
+// further triggers are skipped and resolve to null.
+const runJob = async (name, { trigger = 'schedule' } = {}) => {
+    const job = jobs.get(name);
+    if (!job) return null;
+    if (job.running) {
+        logger.warn(`Job ${name} is still running, skipping ${trigger} trigger.`);
+        return null;
+    }
+
+    job.running = true;
+    const startedAt = new Date();
+    let jobRun = null;
+    try {
+        jobRun = await JobRun.create({ job: name, trigger, startedAt });
+        const { deletedCount = 0, details = {} } = (await job.run()) || {};
+        Object.assign(jobRun, { status: 'succeeded', deletedCount, details });
+        logger.info(`Job ${name} succeeded: ${deletedCount} deleted.`);
+    } catch (err) {
+        logger.error(`Job ${name} failed: ${err.message}`);
+        if (jobRun) Object.assign(jobRun, { status: 'failed', error: err.message });
+    } finally {
+        job.running = false;
+    }
+
+    if (!jobRun) return null;
+    jobRun.finishedAt = new Date();
+    jobRun.durationMs = jobRun.finishedAt - startedAt;
+    try {
+        await jobRun.save();
+    } catch (err) {
+        logger.error(`Error saving run of job ${name}: ${err.message}`);
+    }
+    return jobRun;
+};
+
+const hasJob = (name) => jobs.has(name);
+
+const startJobs = () => {
+    for (const { cronJob } of jobs.values()) cronJob.start();
+    logger.info(`Started ${jobs.size} scheduled jobs.`);
+};
+
+const listJobs = () =>
+    [...jobs.values()].map(({ name, schedule, running, cronJob }) => ({
+        name,
+        schedule,
+        running,
+        nextRunAt: cronJob.running ? cronJob.nextDate().toJSDate() : null,
+    }));
+
+const getJobRuns = ({ job, status, limit = 50 } = {}) => {
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+    return JobRun.find(filter).sort({ startedAt: -1 }).limit(limit);
+};
+
+module.exports = { defineJob, runJob, hasJob, startJobs, listJobs, getJobRuns };
@@ -1,14 +1,15 @@
-const cron = require('cron');
 const User = require('../models/user');
 const logger = require('../utils/logger');
+const { defineJob } = require('./scheduler');
 
-const userCleanupJob = new cron.CronJob('0 */30 * * * *', async () => {
-    try {
+const userCleanupJob = defineJob({
+    name: 'userCleanup',
+    schedule: '0 */30 * * * *',
+    run: async () => {
         const result = await User.deleteMany({ userStatus: 'init' });
         logger.info(`Cleanup complete: Deleted ${result.deletedCount} unverified users.`);
-    } catch (err) {
-        logger.error(`Error during user cleanup: ${err.message}`);
-    }
+        return { deletedCount: result.deletedCount };
+    },
 });
 
 module.exports = { userCleanupJob };
@@ -0,0 +1,86 @@
+// Fills in fields that documents written under the original schemas do not
+// have. Each step only matches documents still missing its field, so a second
+// run finds nothing left to do.
+//
+//     npm run migrate:backfill-fields
+const mongoose = require('mongoose');
+const Tab = require('../models/tab');
+const Shortcut = require('../models/shortcut');
+const History = require('../models/history');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const historyService = require('../services/historyService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 1000;
+
+// Collections that existed before delta sync. Sync pages by `updatedAt`, so a
+// document without one is never sent, not even in a reset.
+const legacyModels = [Tab, Shortcut, History, Bookmark, Note];
+
+// The best guess at when a legacy document last changed: its own `timestamp`,
+// else when it was created.
+const legacyTime = (doc) => doc.timestamp || doc.createdAt || new mongoose.Types.ObjectId(doc._id).getTimestamp();
+
+const backfills = [
+    ...legacyModels.map((Model) => ({
+        Model,
+        field: 'updatedAt',
+        values: (doc) => ({ createdAt: doc.createdAt || legacyTime(doc), updatedAt: legacyTime(doc) }),
+    })),
+    ...legacyModels.map((Model) => ({
+        Model,
+        field: 'deletedAt',
+        values: () => ({ deletedAt: null }),
+    })),
+    // Versioned updates match on `version`, which older notes and bookmarks lack.
+    ...[Bookmark, Note].map((Model) => ({
+        Model,
+        field: 'version',
+        values: () => ({ version: 1 }),
+    })),
+    // Filtering and deleting history by site match on `domain`.
+    {
+        Model: History,
+        field: 'domain',
+        values: (doc) => ({
+            domain: historyService.toDomain(doc.url),
+            day: doc.day || historyService.toDay(doc.timestamp || legacyTime(doc)),
+        }),
+    },
+];
+
+const backfillFields = async () => {
+    const counts = {};
+    for (const { Model, field, values } of backfills) {
+        const key = `${Model.modelName}.${field}`;
+        counts[key] = 0;
+
+        // Updated documents drop out of the filter, so each batch is a fresh query.
+        let docs;
+        do {
+            docs = await Model.find({ [field]: { $exists: false } }).limit(BATCH_SIZE).lean();
+            for (const doc of docs) {
+                await Model.updateOne({ _id: doc._id }, { $set: values(doc) }, { timestamps: false });
+            }
+            counts[key] += docs.length;
+        } while (docs.length === BATCH_SIZE);
+    }
+
+    const summary = Object.entries(counts).filter(([, count]) => count).map(([key, count]) => `${key}: ${count}`);
+    logger.info(`Field backfill: ${summary.length ? summary.join(', ') : 'nothing to do'}.`);
+    return counts;
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(backfillFields)
+        .catch((err) => {
+            logger.error(`Field backfill failed: ${err.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { backfillFields };
@@ -0,0 +1,57 @@
+// Moves tabs from the old `group` name field to TabGroup documents: one group
+// per user, window and name, referenced through `groupId`. The old "default"
+// name meant ungrouped and creates no group. Safe to run more than once; a
+// second run finds nothing left to move.
+//
+//     npm run migrate:tab-groups
+const mongoose = require('mongoose');
+const Tab = require('../models/tab');
+const TabGroup = require('../models/tabGroup');
+const tabService = require('../services/tabService');
+const logger = require('../utils/logger');
+
+const migrateTabGroups = async () => {
+    // `group` is no longer in the schema, so it is only visible on lean documents.
+    const tabs = await Tab.find({ group: { $exists: true } }).lean();
+
+    const groups = new Map();
+    for (const tab of tabs) {
+        const windowId = tab.windowId || tabService.DEFAULT_WINDOW;
+        const name = typeof tab.group === 'string' ? tab.group.trim() : '';
+        const key = JSON.stringify([tab.username, windowId, name]);
+        if (!groups.has(key)) groups.set(key, { username: tab.username, windowId, name, tabIds: [] });
+        groups.get(key).tabIds.push(tab._id);
+    }
+
+    let created = 0;
+    for (const { username, windowId, name, tabIds } of groups.values()) {
+        let groupId = null;
+        if (name && name !== tabService.LEGACY_DEFAULT_GROUP) {
+            const [existing] = await TabGroup.findOwned(username, { windowId, name }).limit(1);
+            const group = existing || (await tabService.createGroup(username, { name, windowId }));
+            if (!existing) created++;
+            groupId = group._id;
+        }
+        await Tab.updateMany(
+            { _id: { $in: tabIds } },
+            { $set: { groupId, windowId }, $unset: { group: '' } },
+            { strict: false }
+        );
+    }
+
+    logger.info(`Tab group migration: ${tabs.length} tabs moved, ${created} groups created.`);
+    return { tabs: tabs.length, groups: created };
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(migrateTabGroups)
+        .catch((err) => {
+            logger.error(`Tab group migration failed: ${err.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateTabGroups };
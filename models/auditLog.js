@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Security-relevant account events. Entries outlive the account they describe.
+const auditLogSchema = new mongoose.Schema({
+    username: { type: String, required: true, index: true },
+    action: { type: String, required: true },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
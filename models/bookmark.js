@@ -1,11 +1,31 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
 
 const bookmarkSchema = new mongoose.Schema({
     username: { type: String, required: true },
     title: { type: String, required: true },
     url: { type: String, required: true },
-    timestamp: { type: Date, default: Date.now }
-});
+    // Normalized form of `url` used for duplicate detection
+    urlKey: { type: String, default: null },
+    description: { type: String, default: '' },
+    tags: { type: [String], default: [] },
+    folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookmarkFolder', default: null },
+    position: { type: Number, default: 0 },
+    timestamp: { type: Date, default: Date.now },
+    version: { type: Number, default: 1 }
+}, { timestamps: true });
+
+bookmarkSchema.index({ username: 1, folderId: 1, position: 1 });
+bookmarkSchema.index({ username: 1, urlKey: 1 });
+bookmarkSchema.index({ username: 1, tags: 1 });
+bookmarkSchema.index(
+    { username: 1, title: 'text', tags: 'text', description: 'text', url: 'text' },
+    { name: 'bookmark_text', weights: { title: 10, tags: 5, description: 2, url: 1 } }
+);
+
+bookmarkSchema.plugin(syncable);
+bookmarkSchema.plugin(ownership);
 
 const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
 module.exports = Bookmark;
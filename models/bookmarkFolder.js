@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
+
+const bookmarkFolderSchema = new mongoose.Schema({
+    username: { type: String, required: true },
+    name: { type: String, required: true },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookmarkFolder', default: null },
+    position: { type: Number, default: 0 }
+}, { timestamps: true });
+
+bookmarkFolderSchema.index({ username: 1, parentId: 1, position: 1 });
+
+bookmarkFolderSchema.plugin(syncable);
+bookmarkFolderSchema.plugin(ownership);
+
+const BookmarkFolder = mongoose.model('BookmarkFolder', bookmarkFolderSchema);
+module.exports = BookmarkFolder;
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Shared cache entries for the MongoDB cache backend. Entries are served fresh
+// until `freshUntil`, stale until `expiresAt`, and removed by the TTL index after that.
+const cacheEntrySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    freshUntil: { type: Date, required: true },
+    expiresAt: { type: Date, required: true, expires: 0 },
+});
+
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+module.exports = CacheEntry;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const CHANGE_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const changeEventSchema = new mongoose.Schema({
+    username: { type: String, required: true },
+    seq: { type: Number, required: true },
+    action: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdAt: { type: Date, default: Date.now, expires: CHANGE_RETENTION_SECONDS },
+});
+
+changeEventSchema.index({ username: 1, seq: 1 }, { unique: true });
+
+const ChangeEvent = mongoose.model('ChangeEvent', changeEventSchema);
+module.exports = ChangeEvent;
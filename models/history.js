@@ -1,11 +1,42 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
 
+// Presets for clearing recent history, as milliseconds back from now.
+const HISTORY_RANGES = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+};
+
+// One entry per URL per (UTC) day; repeat visits that day bump `visitCount`
+// and move `timestamp` to the latest visit.
 const historySchema = new mongoose.Schema({
     username: { type: String, required: true },
     title: { type: String, required: true },
     url: { type: String, required: true },
+    // Host without a leading "www.", for filtering and deleting by site
+    domain: { type: String, default: null },
+    day: { type: String, default: null },
+    visitCount: { type: Number, default: 1 },
+    firstVisitAt: { type: Date, default: Date.now },
     timestamp: { type: Date, default: Date.now }
-});
+}, { timestamps: true });
+
+historySchema.index({ username: 1, timestamp: -1, _id: -1 });
+historySchema.index({ username: 1, url: 1, day: 1 });
+historySchema.index({ username: 1, domain: 1, timestamp: -1 });
+
+// Full-text search over a user's own history; always queried with `username`.
+historySchema.index(
+    { username: 1, title: 'text', url: 'text' },
+    { name: 'history_text', weights: { title: 5, url: 1 } }
+);
+
+historySchema.plugin(syncable);
+historySchema.plugin(ownership);
 
 const History = mongoose.model('History', historySchema);
+History.RANGES = HISTORY_RANGES;
 module.exports = History;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const JOB_RUN_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One execution of a scheduled job, kept for a month for the admin endpoint.
+const jobRunSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+    status: { type: String, enum: ['running', 'succeeded', 'failed'], default: 'running' },
+    startedAt: { type: Date, default: Date.now, expires: JOB_RUN_RETENTION_SECONDS },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    deletedCount: { type: Number, default: 0 },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    error: { type: String, default: null },
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+module.exports = JobRun;
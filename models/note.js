@@ -1,10 +1,33 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
 
 const noteSchema = new mongoose.Schema({
     username: { type: String, required: true },
+    title: { type: String, default: '' },
+    // Markdown source; previews are rendered server-side
     content: { type: String, required: true },
-    timestamp: { type: Date, default: Date.now }
-});
+    tags: { type: [String], default: [] },
+    pinned: { type: Boolean, default: false },
+    archived: { type: Boolean, default: false },
+    // Page the note belongs to; `urlKey` is its normalized form for lookups
+    url: { type: String, default: null },
+    urlKey: { type: String, default: null },
+    tabId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tab', default: null },
+    timestamp: { type: Date, default: Date.now },
+    version: { type: Number, default: 1 }
+}, { timestamps: true });
+
+noteSchema.index({ username: 1, archived: 1, pinned: -1, updatedAt: -1 });
+noteSchema.index({ username: 1, tags: 1 });
+noteSchema.index({ username: 1, urlKey: 1 });
+noteSchema.index(
+    { username: 1, title: 'text', tags: 'text', content: 'text' },
+    { name: 'note_text', weights: { title: 10, tags: 5, content: 1 } }
+);
+
+noteSchema.plugin(syncable);
+noteSchema.plugin(ownership);
 
 const Note = mongoose.model('Note', noteSchema);
 module.exports = Note;
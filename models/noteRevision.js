@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+// A note as it was at one version. Written on every create and update, capped
+// per note and pruned by age (see services/noteRevisionService.js).
+const noteRevisionSchema = new mongoose.Schema({
+    username: { type: String, required: true },
+    noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+    version: { type: Number, required: true },
+    title: { type: String, default: '' },
+    content: { type: String, required: true },
+    tags: { type: [String], default: [] },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+noteRevisionSchema.index({ noteId: 1, version: -1 }, { unique: true });
+noteRevisionSchema.index({ createdAt: 1 });
+
+noteRevisionSchema.plugin(ownership);
+
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+module.exports = NoteRevision;
@@ -0,0 +1,50 @@
+// Owner-scoped queries for user-owned collections. Every lookup or mutation by
+// id also matches `username`, so a document belonging to someone else behaves
+// exactly like a missing one. On syncable collections tombstoned documents are
+// hidden and deletes become tombstones.
+const ownership = (schema) => {
+    const softDeletes = () => Boolean(schema.path('deletedAt'));
+    const live = () => (softDeletes() ? { deletedAt: null } : {});
+
+    schema.statics.findOwned = function (username, filter = {}) {
+        return this.find({ ...filter, ...live(), username });
+    };
+
+    schema.statics.findOneOwned = function (username, id) {
+        return this.findOne({ _id: id, ...live(), username });
+    };
+
+    // With `version`, only a document still at that version is updated. Versioned
+    // collections have their version bumped on every update.
+    schema.statics.updateOwned = function (username, id, update, { version } = {}) {
+        const changes = { ...update };
+        delete changes.username;
+        delete changes.deletedAt;
+        delete changes.version;
+
+        const filter = { _id: id, ...live(), username };
+        if (version !== undefined) filter.version = version;
+
+        const operations = { $set: changes };
+        if (schema.path('version')) operations.$inc = { version: 1 };
+
+        return this.findOneAndUpdate(filter, operations, { new: true, runValidators: true });
+    };
+
+    schema.statics.updateAllOwned = function (username, filter, update) {
+        return this.updateMany({ ...filter, ...live(), username }, update);
+    };
+
+    schema.statics.deleteOwned = function (username, id) {
+        if (!softDeletes()) return this.findOneAndDelete({ _id: id, username });
+        return this.findOneAndUpdate({ _id: id, ...live(), username }, { deletedAt: new Date() }, { new: true });
+    };
+
+    schema.statics.deleteAllOwned = async function (username, filter = {}) {
+        if (!softDeletes()) return this.deleteMany({ ...filter, username });
+        const { modifiedCount } = await this.updateMany({ ...filter, ...live(), username }, { deletedAt: new Date() });
+        return { deletedCount: modifiedCount };
+    };
+};
+
+module.exports = ownership;
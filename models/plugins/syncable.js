@@ -0,0 +1,15 @@
+// Collections that take part in delta sync: deletes leave a tombstone
+// (`deletedAt`) so other devices learn about them, and tombstones expire once
+// every reasonable sync cursor has moved past them.
+const TOMBSTONE_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const syncable = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null, index: { expires: TOMBSTONE_RETENTION_SECONDS } },
+    });
+    schema.index({ username: 1, updatedAt: 1, _id: 1 });
+};
+
+syncable.TOMBSTONE_RETENTION_SECONDS = TOMBSTONE_RETENTION_SECONDS;
+
+module.exports = syncable;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A session is one device login and one refresh-token family: every rotation
+// replaces refreshTokenHash and remembers the old hash so reuse can be detected.
+const sessionSchema = new mongoose.Schema({
+    username: { type: String, required: true, index: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    usedRefreshTokenHashes: { type: [String], default: [], index: true },
+    deviceName: { type: String, default: 'Unknown device' },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
 
 const shortcutSchema = new mongoose.Schema({
     username: { type: String, required: true },
     title: { type: String, required: true },
     url: { type: String, required: true }
-});
+}, { timestamps: true });
+
+shortcutSchema.plugin(syncable);
+shortcutSchema.plugin(ownership);
 
 const Shortcut = mongoose.model('Shortcut', shortcutSchema);
 module.exports = Shortcut;
@@ -1,12 +1,25 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
 
 const tabSchema = new mongoose.Schema({
     username: { type: String, required: true },
     title: { type: String, required: true },
     url: { type: String, required: true },
-    group: { type: String, default: 'default' },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'TabGroup', default: null },
+    // Tabs are ordered per window; grouped tabs share the window's ordering.
+    windowId: { type: String, default: 'default' },
+    position: { type: Number, default: 0 },
     status: { type: String, enum: ['active', 'closed'], default: 'active' },
+    closedAt: { type: Date, default: null },
 }, { timestamps: true });
 
+tabSchema.index({ username: 1, status: 1, closedAt: -1 });
+tabSchema.index({ username: 1, windowId: 1, position: 1 });
+tabSchema.index({ username: 1, groupId: 1 });
+
+tabSchema.plugin(syncable);
+tabSchema.plugin(ownership);
+
 const Tab = mongoose.model('Tab', tabSchema);
-module.exports = Tab;
\ No newline at end of file
+module.exports = Tab;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const syncable = require('./plugins/syncable');
+
+// Same palette browsers offer for native tab groups.
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+const tabGroupSchema = new mongoose.Schema({
+    username: { type: String, required: true },
+    name: { type: String, required: true },
+    color: { type: String, enum: TAB_GROUP_COLORS, default: 'grey' },
+    collapsed: { type: Boolean, default: false },
+    windowId: { type: String, default: 'default' },
+    position: { type: Number, default: 0 }
+}, { timestamps: true });
+
+tabGroupSchema.index({ username: 1, windowId: 1, position: 1 });
+
+tabGroupSchema.plugin(syncable);
+tabGroupSchema.plugin(ownership);
+
+const TabGroup = mongoose.model('TabGroup', tabGroupSchema);
+TabGroup.COLORS = TAB_GROUP_COLORS;
+module.exports = TabGroup;
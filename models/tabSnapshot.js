@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+// A named, immutable copy of a user's open tabs and their groups. Saving under
+// an existing name adds a new snapshot, so earlier ones stay available. Tabs
+// point at groups by the id the group had when the snapshot was taken.
+const tabSnapshotSchema = new mongoose.Schema({
+    username: { type: String, required: true },
+    name: { type: String, required: true },
+    tabs: [{
+        _id: false,
+        title: { type: String, required: true },
+        url: { type: String, required: true },
+        groupId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        windowId: { type: String, default: 'default' },
+    }],
+    groups: [{
+        _id: false,
+        id: { type: mongoose.Schema.Types.ObjectId, required: true },
+        name: { type: String, required: true },
+        color: { type: String, default: 'grey' },
+        collapsed: { type: Boolean, default: false },
+        windowId: { type: String, default: 'default' },
+    }],
+}, { timestamps: true });
+
+tabSnapshotSchema.index({ username: 1, createdAt: -1 });
+
+tabSnapshotSchema.plugin(ownership);
+
+const TabSnapshot = mongoose.model('TabSnapshot', tabSnapshotSchema);
+module.exports = TabSnapshot;
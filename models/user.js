@@ -1,17 +1,49 @@
 const mongoose = require('mongoose');
 
+// Days to keep history and closed tabs; null keeps them forever.
+const RETENTION_DAYS = [30, 90, 365, null];
+const SAFESEARCH_LEVELS = ['off', 'moderate', 'strict'];
+const SEARCH_VERTICALS = ['web', 'news', 'video', 'image'];
+const MAX_RESULTS_PER_PAGE = 20;
+
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true },
     email: { type: String, required: true },
     totpSecret: { type: String, required: true },
     userStatus: { type: String, default: 'init' },
-    sessionToken: { type: String, default: null },
+    changeSeq: { type: Number, default: 0 },
+    settings: {
+        retention: {
+            history: { type: Number, enum: RETENTION_DAYS, default: null },
+            closedTabs: { type: Number, enum: RETENTION_DAYS, default: null },
+        },
+        // Defaults for /search/search-online; explicit query params win.
+        search: {
+            safesearch: { type: String, enum: SAFESEARCH_LEVELS, default: 'moderate' },
+            // ISO 3166-1 alpha-2; null uses the country resolved from the request IP
+            country: { type: String, default: null },
+            language: { type: String, default: null },
+            resultsPerPage: { type: Number, min: 1, max: MAX_RESULTS_PER_PAGE, default: 10 },
+            // Sections included in the blended `all` results
+            verticals: {
+                type: [{ type: String, enum: SEARCH_VERTICALS }],
+                default: SEARCH_VERTICALS,
+            },
+        },
+    },
     isBan: {
         IP: { type: String, default: null },
         bannedTime: { type: Number, default: null },
     },
 });
 
+userSchema.index({ 'settings.retention.history': 1 });
+userSchema.index({ 'settings.retention.closedTabs': 1 });
+
 const User = mongoose.model('User', userSchema);
+User.RETENTION_DAYS = RETENTION_DAYS;
+User.SAFESEARCH_LEVELS = SAFESEARCH_LEVELS;
+User.SEARCH_VERTICALS = SEARCH_VERTICALS;
+User.MAX_RESULTS_PER_PAGE = MAX_RESULTS_PER_PAGE;
 
 module.exports = User;
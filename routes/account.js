@@ -0,0 +1,78 @@
+const express = require('express');
+const Session = require('../models/session');
+const accountService = require('../services/accountService');
+const { generateEmailOtp, verifyOtp } = require('../utils/otpHelper');
+const { sendOtpEmail } = require('../utils/mailer');
+const { disconnectSessions } = require('../websocket');
+const { getRequestIP } = require('../utils/utils');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const auditContext = (req, metadata) => ({
+    ip: getRequestIP(req),
+    userAgent: req.headers['user-agent'],
+    metadata,
+});
+
+// ✅ Export All Account Data (NDJSON stream)
+router.get('/export', async (req, res) => {
+    const { username } = req.user;
+    try {
+        await accountService.recordAudit(username, 'account.exported', auditContext(req));
+
+        res.status(200);
+        res.type('application/x-ndjson');
+        res.attachment(`wraply-space-${username}.ndjson`);
+        await accountService.exportAccount(username, res);
+        logger.info(`Account data exported for user ${username}`);
+    } catch (err) {
+        if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            return logger.warn(`Account export aborted by the client for user ${username}`);
+        }
+        logger.error(`Error exporting account data for user ${username}: ${err.message}`);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// ✅ Request an Email OTP to Confirm Account Deletion
+router.post('/delete/request-otp', async (req, res) => {
+    const { user } = req;
+    try {
+        const otp = generateEmailOtp(user.totpSecret);
+        await sendOtpEmail(user.email, 'Confirm account deletion', otp, user.username, 'permanently delete your account');
+        await accountService.recordAudit(user.username, 'account.deletionRequested', auditContext(req));
+
+        res.status(200).json({ message: 'OTP sent successfully' });
+    } catch (err) {
+        logger.error(`Error requesting account deletion for user ${user.username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// ✅ Delete Account and All Data (requires an email or authenticator OTP)
+router.post('/delete', async (req, res) => {
+    const { user } = req;
+    const { otp, type } = req.body;
+    if (!otp) return res.status(400).json({ message: 'OTP is required.' });
+
+    try {
+        if (!verifyOtp(user.totpSecret, otp, type)) {
+            return res.status(400).json({ message: 'Invalid OTP, please try again' });
+        }
+
+        const sessions = await Session.find({ username: user.username }).select('_id');
+        const deleted = await accountService.deleteAccount(user.username);
+        disconnectSessions(sessions.map((session) => session._id.toString()), 'Account deleted');
+
+        await accountService.recordAudit(user.username, 'account.deleted', auditContext(req, { deleted }));
+        logger.info(`Account deleted for user ${user.username}`);
+        res.status(200).json({ message: 'Account and all associated data deleted.', deleted });
+    } catch (err) {
+        logger.error(`Error deleting account for user ${user.username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const scheduler = require('../jobs');
+const searchService = require('../services/searchService');
+const { searchCache } = require('../utils/utils');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Admins are listed by username in ADMIN_USERNAMES (comma-separated).
+const adminUsernames = () =>
+    (process.env.ADMIN_USERNAMES || '').split(',').map((name) => name.trim()).filter(Boolean);
+
+router.use((req, res, next) => {
+    if (!adminUsernames().includes(req.user.username)) {
+        logger.warn(`Admin access denied for user ${req.user.username}`);
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+});
+
+// 📌 List Jobs
+router.get('/jobs', (req, res) => {
+    res.status(200).json({ jobs: scheduler.listJobs() });
+});
+
+// 📌 Job Runs (?job, status, limit)
+router.get('/jobs/runs', async (req, res) => {
+    const { job, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    try {
+        const runs = await scheduler.getJobRuns({ job, status, limit });
+        res.status(200).json({ runs });
+    } catch (err) {
+        logger.error(`Error getting job runs: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Run Job Now
+router.post('/jobs/:name/run', async (req, res) => {
+    const { name } = req.params;
+    if (!scheduler.hasJob(name)) return res.status(404).json({ message: 'Job not found' });
+
+    try {
+        logger.info(`Job ${name} triggered by admin ${req.user.username}`);
+        const run = await scheduler.runJob(name, { trigger: 'manual' });
+        if (!run) return res.status(409).json({ message: 'Job is already running' });
+        res.status(200).json({ run });
+    } catch (err) {
+        logger.error(`Error running job ${name}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Search Providers (failover order and circuit state)
+router.get('/search/providers', (req, res) => {
+    res.status(200).json({ providers: searchService.providerStatus() });
+});
+
+// 📌 Search Cache Metrics
+router.get('/search/cache', (req, res) => {
+    res.status(200).json({ cache: searchCache.stats() });
+});
+
+module.exports = router;
@@ -1,42 +1,15 @@
 const express = require('express');
 const User = require('../models/user');
-const { generateTotpSecretAndQr, generateOtp } = require('../utils/otpHelper');
-const { MailerSend, EmailParams, Sender, Recipient } = require("mailersend");
-const jwt = require('jsonwebtoken');
+const { generateTotpSecretAndQr, generateEmailOtp, verifyOtp } = require('../utils/otpHelper');
+const { sendOtpEmail } = require('../utils/mailer');
 const logger = require('../utils/logger');
+const { getRequestIP } = require('../utils/utils');
+const sessionService = require('../services/sessionService');
+const { signAccessToken, ACCESS_TOKEN_TTL } = require('../utils/tokenHelper');
+const { disconnectSessions } = require('../websocket');
 require('dotenv').config();
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'wraply_space';
-
-const mailerSend = new MailerSend({ apiKey: process.env.API_KEY });
-
-const generateSessionToken = (username) => {
-    return jwt.sign({ username }, JWT_SECRET);
-};
-
-const sendOtpEmail = async (toEmail, subject, otp, username) => {
-    const sentFrom = new Sender("noreply@trial-351ndgwjzzxlzqx8.mlsender.net", "Wraply Space");
-    const recipients = [new Recipient(toEmail, username)];
-    const emailParams = new EmailParams()
-        .setFrom(sentFrom)
-        .setTo(recipients)
-        .setSubject(subject)
-        .setHtml(`
-            <div style="font-family: Arial, sans-serif; text-align: center;">
-                <h2>Your OTP Code</h2>
-                <p style="font-size: 18px;">Use the following OTP to complete your login:</p>
-                <p style="font-size: 24px; font-weight: bold; color: #007BFF;">${otp}</p>
-                <p>This OTP is valid for a 5 minutes.</p>
-            </div>
-        `);
-    try {
-        await mailerSend.email.send(emailParams);
-        logger.info(`OTP sent to ${toEmail}`);
-    } catch (err) {
-        logger.error(`Error sending email to ${toEmail}: ${err.message}`);
-    }
-};
 
 // Register User
 router.post('/register', async (req, res) => {
@@ -65,12 +38,7 @@ router.post('/request-email-otp', async (req, res) => {
         const user = await User.findOne({ username });
         if (!user) return res.status(400).json({ message: 'Invalid username' });
 
-        const currentTime = Math.floor(Date.now() / 1000);
-        const alignedTime = Math.floor(currentTime / 600) * 600;
-
-        const otp = generateOtp(user.totpSecret, alignedTime);
-
-        console.log(`Generated Email OTP: ${otp}, Aligned Timestamp: ${alignedTime}`);
+        const otp = generateEmailOtp(user.totpSecret);
         await sendOtpEmail(user.email, 'Your OTP Code', otp, user.username);
 
         logger.info(`OTP generated and sent for ${username}`);
@@ -83,38 +51,62 @@ router.post('/request-email-otp', async (req, res) => {
 
 // Verify OTP & Login
 router.post('/verify', async (req, res) => {
-    const { username, otp, type } = req.body;
+    const { username, otp, type, deviceName } = req.body;
     try {
         const user = await User.findOne({ username });
         if (!user) return res.status(400).json({ message: 'Invalid username' });
 
-        const currentTime = Math.floor(Date.now() / 1000);
-        const interval = type === 'email' ? 600 : 30;
-        const alignedTime = Math.floor(currentTime / interval) * interval;
-
-        const validOtps = [
-            generateOtp(user.totpSecret, alignedTime - interval),
-            generateOtp(user.totpSecret, alignedTime),
-            generateOtp(user.totpSecret, alignedTime + interval)
-        ];
-
-        console.log(`Received OTP: ${otp}, Type: ${type}`);
-        console.log(`Generated Valid OTPs: ${validOtps}, Aligned Timestamp: ${alignedTime}`);
-
-        if (!validOtps.includes(otp)) {
+        if (!verifyOtp(user.totpSecret, otp, type)) {
             return res.status(400).json({ message: 'Invalid OTP, please try again' });
         }
 
-        user.sessionToken = generateSessionToken(user.username);
+        const { session, refreshToken } = await sessionService.createSession(user.username, {
+            deviceName,
+            ip: getRequestIP(req),
+            userAgent: req.headers['user-agent'],
+        });
         user.userStatus = 'verified';
         await user.save();
 
-        logger.info(`User verified: ${username}`);
-        res.status(200).json({ message: 'Login successful', sessionToken: user.sessionToken });
+        logger.info(`User verified: ${username}, session: ${session._id}`);
+        res.status(200).json({
+            message: 'Login successful',
+            sessionToken: signAccessToken(user.username, session._id),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            sessionId: session._id,
+        });
     } catch (err) {
         logger.error(`Error during verification: ${err.message}`);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
+// Rotate Refresh Token
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required.' });
+
+    try {
+        const result = await sessionService.rotateRefreshToken(refreshToken);
+        if (!result) return res.status(401).json({ message: 'Invalid or expired refresh token' });
+
+        const { session } = result;
+        if (result.reused) {
+            logger.warn(`Refresh token reuse detected for user ${session.username}, revoking session ${session._id}`);
+            disconnectSessions([session._id.toString()], 'Session revoked');
+            return res.status(401).json({ message: 'Refresh token reuse detected, please log in again' });
+        }
+
+        res.status(200).json({
+            sessionToken: signAccessToken(session.username, session._id),
+            refreshToken: result.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+        });
+    } catch (err) {
+        logger.error(`Error refreshing token: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 module.exports = router;
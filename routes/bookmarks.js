@@ -0,0 +1,206 @@
+const express = require('express');
+const bookmarkService = require('../services/bookmarkService');
+const bookmarkTransferService = require('../services/bookmarkTransferService');
+const { publishChange } = require('../websocket');
+const { AppError } = require('../utils/errors');
+const { validatePayload } = require('../utils/validators');
+const { parseNetscape, toNetscape } = require('../utils/netscapeBookmarks');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Bookmark files are far larger than regular payloads. Bodies that cannot be
+// read (bad JSON, over the limit) are the client's fault, not a server error.
+const parseImport = [
+    express.json({ limit: '10mb' }),
+    express.text({ type: ['text/html', 'text/plain'], limit: '10mb' }),
+    (err, req, res, next) => {
+        if (!err.type || !err.status || err.status >= 500) return next(err);
+        const message = err.type === 'entity.too.large' ? 'Import file is too large' : 'Malformed import file';
+        res.status(err.status).json({ error: message });
+    },
+];
+
+// 📌 Get Bookmarks
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const { bookmarks, folders } = await bookmarkService.getBookmarks(username);
+        res.status(200).json({ bookmarks, folders });
+    } catch (err) {
+        logger.error(`Error getting bookmarks for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Export Bookmarks (Netscape HTML or JSON)
+router.get('/export', async (req, res) => {
+    const { username } = req.user;
+    const format = req.query.format === 'json' ? 'json' : 'html';
+    try {
+        const tree = await bookmarkTransferService.exportBookmarks(username);
+        if (format === 'json') {
+            return res.attachment('bookmarks.json').json({ exportedAt: new Date(), bookmarks: tree });
+        }
+        res.type('html').attachment('bookmarks.html').send(toNetscape(tree));
+    } catch (err) {
+        logger.error(`Error exporting bookmarks for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Import Bookmarks: a Netscape HTML file (text/html) or an exported JSON document
+router.post('/import', parseImport, async (req, res) => {
+    const { username } = req.user;
+    try {
+        const tree = typeof req.body === 'string'
+            ? parseNetscape(req.body)
+            : bookmarkTransferService.fromJson(req.body && req.body.bookmarks);
+
+        const stats = await bookmarkTransferService.importBookmarks(username, tree);
+        await publishChange(username, 'bookmarksImported', stats);
+        logger.info(`Bookmarks imported for user ${username}: ${stats.bookmarks} bookmarks, ${stats.folders} folders`);
+        res.status(200).json({ message: 'Import complete', ...stats });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error importing bookmarks for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Add Bookmark
+router.post('/', validatePayload('addBookmark'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const bookmark = await bookmarkService.addBookmark(username, req.payload);
+        await publishChange(username, 'bookmarkAdded', { bookmark });
+        logger.info(`Bookmark added for user ${username}`);
+        res.status(201).json({ bookmark });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error adding bookmark for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Update Bookmark
+router.put('/:id', validatePayload('updateBookmark'), async (req, res) => {
+    const { username } = req.user;
+    const { id: bookmarkId, ...changes } = req.payload;
+    try {
+        const bookmark = await bookmarkService.updateBookmark(username, bookmarkId, changes);
+        if (!bookmark) return res.status(404).json({ message: 'Bookmark not found' });
+
+        await publishChange(username, 'bookmarkUpdated', { bookmark });
+        logger.info(`Bookmark updated for user ${username}: ${bookmarkId}`);
+        res.status(200).json({ bookmark });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error updating bookmark for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Bookmark
+router.delete('/:id', validatePayload('deleteBookmark'), async (req, res) => {
+    const { username } = req.user;
+    const bookmarkId = req.params.id;
+    try {
+        const bookmark = await bookmarkService.deleteBookmark(username, bookmarkId);
+        if (!bookmark) return res.status(404).json({ message: 'Bookmark not found' });
+
+        await publishChange(username, 'bookmarkDeleted', { id: bookmarkId });
+        logger.info(`Bookmark deleted for user ${username}: ${bookmarkId}`);
+        res.status(200).json({ message: 'Bookmark deleted' });
+    } catch (err) {
+        logger.error(`Error deleting bookmark for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Move Bookmark to a Folder / Position
+router.post('/:id/move', validatePayload('moveBookmark'), async (req, res) => {
+    const { username } = req.user;
+    const { id: bookmarkId, folderId, position } = req.payload;
+    try {
+        const bookmark = await bookmarkService.moveBookmark(username, bookmarkId, folderId, position);
+        if (!bookmark) return res.status(404).json({ message: 'Bookmark not found' });
+
+        await publishChange(username, 'bookmarkMoved', { bookmark });
+        logger.info(`Bookmark moved for user ${username}: ${bookmarkId}`);
+        res.status(200).json({ bookmark });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error moving bookmark for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Create Folder
+router.post('/folders', validatePayload('createFolder'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const folder = await bookmarkService.createFolder(username, req.payload);
+        await publishChange(username, 'folderCreated', { folder });
+        logger.info(`Folder created for user ${username}: ${folder._id}`);
+        res.status(201).json({ folder });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error creating folder for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Rename Folder
+router.patch('/folders/:id', validatePayload('renameFolder'), async (req, res) => {
+    const { username } = req.user;
+    const { id: folderId, name } = req.payload;
+    try {
+        const folder = await bookmarkService.renameFolder(username, folderId, name);
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+        await publishChange(username, 'folderRenamed', { folder });
+        logger.info(`Folder renamed for user ${username}: ${folderId}`);
+        res.status(200).json({ folder });
+    } catch (err) {
+        logger.error(`Error renaming folder for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Move Folder (its contents move with it)
+router.post('/folders/:id/move', validatePayload('moveFolder'), async (req, res) => {
+    const { username } = req.user;
+    const { id: folderId, parentId, position } = req.payload;
+    try {
+        const folder = await bookmarkService.moveFolder(username, folderId, parentId, position);
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+        await publishChange(username, 'folderMoved', { folder });
+        logger.info(`Folder moved for user ${username}: ${folderId}`);
+        res.status(200).json({ folder });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error moving folder for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Folder with its Contents
+router.delete('/folders/:id', validatePayload('deleteFolder'), async (req, res) => {
+    const { username } = req.user;
+    const folderId = req.params.id;
+    try {
+        const result = await bookmarkService.deleteFolder(username, folderId);
+        if (!result) return res.status(404).json({ message: 'Folder not found' });
+
+        await publishChange(username, 'folderDeleted', { id: folderId, folderIds: result.folderIds });
+        logger.info(`Folder deleted for user ${username}: ${folderId}`);
+        res.status(200).json({ message: 'Folder deleted', deleted: result.deleted });
+    } catch (err) {
+        logger.error(`Error deleting folder for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
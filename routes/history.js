@@ -0,0 +1,72 @@
+const express = require('express');
+const historyService = require('../services/historyService');
+const { publishChange } = require('../websocket');
+const { AppError } = require('../utils/errors');
+const { validateAction, validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Get History (?cursor, limit, from, to, domain, q, groupBy=day|visit)
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const options = await validateAction('getHistory', req.query);
+        const result = await historyService.getHistory(username, options);
+        res.status(200).json(result);
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error getting history for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Add History Entry
+router.post('/', validatePayload('addHistory'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const entry = await historyService.addHistory(username, req.payload);
+        await publishChange(username, 'historyAdded', { history: entry });
+        logger.info(`History added for user ${username}`);
+        res.status(201).json({ history: entry });
+    } catch (err) {
+        logger.error(`Error adding history for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete History narrowed by ids, domain, range (hour|day|week|month), from and
+// to, given in the query like GET or in the body; `all=true` deletes everything
+router.delete('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const filters = await validateAction('deleteHistory', { ...req.query, ...req.body });
+        const { deletedCount, ids } = await historyService.deleteHistory(username, filters);
+        await publishChange(username, 'historyDeleted', ids ? { ids } : undefined);
+        logger.info(`History deleted for user ${username}: ${deletedCount} entries`);
+        res.status(200).json({ message: 'History deleted', deletedCount });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error deleting history for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete History Entry
+router.delete('/:id', validatePayload('deleteHistoryEntry'), async (req, res) => {
+    const { username } = req.user;
+    const entryId = req.params.id;
+    try {
+        const { ids } = await historyService.deleteHistory(username, { ids: [entryId] });
+        if (!ids.length) return res.status(404).json({ message: 'History entry not found' });
+
+        await publishChange(username, 'historyDeleted', { ids });
+        logger.info(`History entry deleted for user ${username}: ${entryId}`);
+        res.status(200).json({ message: 'History entry deleted' });
+    } catch (err) {
+        logger.error(`Error deleting history entry for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const noteService = require('../services/noteService');
+const noteRevisionService = require('../services/noteRevisionService');
+const { publishChange } = require('../websocket');
+const { AppError } = require('../utils/errors');
+const { validateAction, validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Get Notes (?archived, pinned)
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const notes = await noteService.getNotes(username, await validateAction('getNotes', req.query));
+        res.status(200).json({ notes });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error getting notes for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Notes by Tag (?archived)
+router.get('/tags/:tag', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const { tag, ...options } = await validateAction('getNotesByTag', { ...req.query, tag: req.params.tag });
+        const notes = await noteService.getNotesByTag(username, tag, options);
+        res.status(200).json({ tag, notes });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error getting notes by tag for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Notes for a Page (?url)
+router.get('/for-url', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const { url } = await validateAction('getNotesForUrl', { url: req.query.url });
+        const notes = await noteService.getNotesForUrl(username, url);
+        res.status(200).json({ url, notes });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error getting notes for URL for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Render Markdown Preview (unsaved draft)
+router.post('/preview', validatePayload('renderMarkdown'), (req, res) => {
+    res.status(200).json({ html: noteService.renderPreview(req.payload.content) });
+});
+
+// 📌 Note Preview
+router.get('/:id/preview', validatePayload('previewNote'), async (req, res) => {
+    const { username } = req.user;
+    const noteId = req.params.id;
+    try {
+        const html = await noteService.previewNote(username, noteId);
+        if (html === null) return res.status(404).json({ message: 'Note not found' });
+        res.status(200).json({ id: noteId, html });
+    } catch (err) {
+        logger.error(`Error previewing note for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Note Revisions
+router.get('/:id/revisions', validatePayload('getNoteRevisions'), async (req, res) => {
+    const { username } = req.user;
+    const noteId = req.params.id;
+    try {
+        const revisions = await noteRevisionService.listRevisions(username, noteId);
+        if (!revisions) return res.status(404).json({ message: 'Note not found' });
+        res.status(200).json({ id: noteId, revisions });
+    } catch (err) {
+        logger.error(`Error listing note revisions for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Diff Two Revisions (?from, to; `to` defaults to the current version)
+router.get('/:id/revisions/diff', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const { id, from, to } = await validateAction('diffNoteRevisions', { ...req.query, id: req.params.id });
+        const diff = await noteRevisionService.diffRevisions(username, id, from, to);
+        if (!diff) return res.status(404).json({ message: 'Note not found' });
+        res.status(200).json({ id, diff });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error diffing note revisions for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Restore Revision
+router.post('/:id/revisions/:version/restore', validatePayload('restoreNoteRevision'), async (req, res) => {
+    const { username } = req.user;
+    const { id: noteId, version } = req.payload;
+    try {
+        const note = await noteService.restoreRevision(username, noteId, version);
+        if (!note) return res.status(404).json({ message: 'Note not found' });
+
+        await publishChange(username, 'noteUpdated', { note, restoredFrom: version });
+        logger.info(`Note restored for user ${username}: ${noteId}, Version: ${version}`);
+        res.status(200).json({ note });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error restoring note for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Add Note
+router.post('/', validatePayload('addNote'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const note = await noteService.addNote(username, req.payload);
+        await publishChange(username, 'noteAdded', { note });
+        logger.info(`Note added for user ${username}`);
+        res.status(201).json({ note });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error adding note for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Update Note
+router.put('/:id', validatePayload('updateNote'), async (req, res) => {
+    const { username } = req.user;
+    const { id: noteId, ...changes } = req.payload;
+    try {
+        const note = await noteService.updateNote(username, noteId, changes);
+        if (!note) return res.status(404).json({ message: 'Note not found' });
+
+        await publishChange(username, 'noteUpdated', { note });
+        logger.info(`Note updated for user ${username}: ${noteId}`);
+        res.status(200).json({ note });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error updating note for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Note
+router.delete('/:id', validatePayload('deleteNote'), async (req, res) => {
+    const { username } = req.user;
+    const noteId = req.params.id;
+    try {
+        const note = await noteService.deleteNote(username, noteId);
+        if (!note) return res.status(404).json({ message: 'Note not found' });
+
+        await publishChange(username, 'noteDeleted', { id: noteId });
+        logger.info(`Note deleted for user ${username}: ${noteId}`);
+        res.status(200).json({ message: 'Note deleted' });
+    } catch (err) {
+        logger.error(`Error deleting note for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,72 @@
 const express = require("express");
-const axios = require("axios");
 const logger = require("../utils/logger");
+const localSearchService = require("../services/localSearchService");
+const searchService = require("../services/searchService");
+const settingsService = require("../services/settingsService");
 const {
-    cache,
+    searchCache,
+    searchCacheTtl,
     validateSearch,
-    freshnessMap,
     getGeoData,
-    getIP,
 } = require("../utils/utils");
-const { validationResult } = require("express-validator");
+const { query, validationResult } = require("express-validator");
 
 const router = express.Router();
 
-// 🔍 Search Suggest API
+// The searchable types are defined by the local search service.
+const validateLocalSearch = [
+    query("q")
+        .trim()
+        .isLength({ min: 2, max: 256 })
+        .withMessage("Query must be between 2 and 256 characters."),
+    query("types")
+        .optional()
+        .customSanitizer((value) => String(value).split(",").map((type) => type.trim()).filter(Boolean))
+        .custom((types) => types.length > 0 && types.every((type) => localSearchService.LOCAL_SEARCH_TYPES.includes(type)))
+        .withMessage(`types must be a comma-separated list of: ${localSearchService.LOCAL_SEARCH_TYPES.join(", ")}.`),
+    query(["from", "to"])
+        .optional()
+        .isISO8601()
+        .withMessage("from and to must be ISO 8601 dates.")
+        .toDate(),
+    query("page")
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage("Page must be between 1 and 10.")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage("Limit must be between 1 and 50.")
+        .toInt(),
+];
+
+// Seconds to cache a blended response in which some sections failed.
+const PARTIAL_RESULT_TTL = 60;
+
+// Local matches are per user, so they are looked up on every request and never
+// stored in the shared suggest cache. A failure here must not break the omnibox.
+const getLocalSuggestions = async (username, q) => {
+    try {
+        return await localSearchService.suggest(username, q);
+    } catch (error) {
+        logger.error(`Local suggest error for user ${username}: ${error.message}`);
+        return [];
+    }
+};
+
+// The user's saved search preferences, or null. Searching still works with the
+// defaults when they cannot be loaded.
+const getSearchPreferences = async (username) => {
+    try {
+        return await settingsService.getSearchPreferences(username);
+    } catch (error) {
+        logger.error(`Search preferences error for user ${username}: ${error.message}`);
+        return null;
+    }
+};
+
+// 🔍 Search Suggest API (?local=true adds the user's own pages as `local`, listed first)
 router.get("/suggest", async (req, res) => {
     const { q } = req.query;
     if (!q || q.trim().length < 2) {
@@ -20,34 +74,52 @@ router.get("/suggest", async (req, res) => {
         return res.status(400).json({ error: "Invalid query." });
     }
 
-    const cacheKey = `suggest-${q}`;
-    const cachedResponse = cache.get(cacheKey);
-    if (cachedResponse) return res.status(200).json(cachedResponse);
+    const withLocal = req.query.local === "true" || req.query.local === "1";
+    const localSuggestions = withLocal ? getLocalSuggestions(req.user.username, q) : null;
 
     try {
-        const { data } = await axios.get(
-            "https://api.search.brave.com/res/v1/suggest/search",
-            {
-                headers: {
-                    Accept: "application/json",
-                    "X-Subscription-Token": process.env.BRAVE_SUGGEST_API_KEY,
-                },
-                params: { q, count: 5 },
-            }
+        const { provider, result: suggestions } = await searchCache.getOrLoad(
+            `suggest-${q}`,
+            () => searchService.suggest({ q, count: 5 }),
+            searchCacheTtl("suggest")
         );
 
-        const suggestions = data.results?.map((item) => item.query) || [];
-        cache.set(cacheKey, { status: 200, suggestions });
-
-        res.status(200).json({ status: 200, suggestions });
+        if (!withLocal) return res.status(200).json({ status: 200, suggestions, provider });
+        res.status(200).json({ status: 200, suggestions, provider, local: await localSuggestions });
     } catch (error) {
-        logger.error(`Suggest API error for query "${q}": ${error.message}`, {
-            status: error.response?.status,
-            response: error.response?.data,
+        logger.error(`Suggest error for query "${q}": ${error.message}`, {
+            status: error.status,
+            details: error.details,
+        });
+        res.status(error.status || 500).json({
+            error: "Error fetching search suggestions",
         });
-        res.status(error.response?.status || 500).json({
-            error: "Error fetching data from Brave API",
+    }
+});
+
+// 🗂️ Local Search API: the user's own history, bookmarks and notes
+router.get("/local", validateLocalSearch, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn("Invalid local search request", { errors: errors.array() });
+        return res.status(400).json({ error: errors.array() });
+    }
+
+    const { username } = req.user;
+    const { q, types, from, to, page = 1, limit = 20 } = req.query;
+
+    try {
+        const { results, hasMore } = await localSearchService.search(username, q, {
+            types,
+            from,
+            to,
+            page,
+            limit,
         });
+        res.status(200).json({ query: q, page, results, hasMore });
+    } catch (error) {
+        logger.error(`Local search error for user ${username}: ${error.message}`);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
@@ -59,138 +131,96 @@ router.get("/search-online", validateSearch, async (req, res) => {
         return res.status(400).json({ error: errors.array() });
     }
 
+    // Explicit query params win over saved preferences, which win over the defaults.
+    const prefs = (await getSearchPreferences(req.user.username)) || {};
     const {
         q,
         page = 1,
-        limit = 10,
-        safesearch = "moderate",
-        freshness = "py",
+        limit = prefs.resultsPerPage || 10,
+        safesearch = prefs.safesearch || "moderate",
+        freshness = "year",
         type = null,
+        lang: language = prefs.language || null,
     } = req.query;
 
-    const offset = page - 1;
-    const ip = await getIP(req);
-    let country = await getGeoData(ip);
-
-    if (country === "ALL") {
-        logger.warn(`GeoData API failed for IP: ${ip}. Defaulting to IN`);
-        country = "IN";
+    // A saved country overrides geo-IP; with neither, search every region.
+    let country = req.query.country || prefs.country || (await getGeoData(req));
+    if (!country) {
+        logger.warn(`No country resolved for user ${req.user.username}. Searching all regions`);
+        country = "ALL";
     }
 
-    const apiEndpoints = {
-        news: "https://api.search.brave.com/res/v1/news/search",
-        video: "https://api.search.brave.com/res/v1/videos/search",
-        image: "https://api.search.brave.com/res/v1/images/search",
-        web: "https://api.search.brave.com/res/v1/web/search",
-    };
-
-    const apiUrl = apiEndpoints[type] || apiEndpoints.web;
-
-    const cacheKey = `${q}-${page}-${limit}-${country}-${safesearch}-${freshness}-${type}`;
-    const cachedResponse = cache.get(cacheKey);
-    if (cachedResponse) return res.status(200).json(cachedResponse);
-
-    try {
-        let params = {
-            q,
-            count: limit,
-            offset,
-            country,
-            safesearch,
-            freshness: freshnessMap[freshness] || freshness,
-        };
-
-        if (type === "image") {
-            delete params.freshness;
-            delete params.offset;
-            params.safesearch = "strict"
+    const vertical = type || "web";
+    const verticals = vertical === "all" && prefs.verticals?.length ? prefs.verticals : null;
+    // Blended results are always the first page, so `page` stays out of their key.
+    const cacheKey = `${q}-${vertical === "all" ? 1 : page}-${limit}-${country}-${language || "any"}-${safesearch}-${freshness}-${vertical}`
+        + (verticals ? `-${verticals.join("+")}` : "");
+
+    // 🧩 Blended results: every vertical in parallel, cached as one unit
+    if (vertical === "all") {
+        const { ttl, staleTtl } = searchCacheTtl("all");
+        try {
+            const result = await searchCache.getOrLoad(
+                cacheKey,
+                () => searchService.searchAll({
+                    q,
+                    limit: Number(limit),
+                    country,
+                    language,
+                    safesearch,
+                    freshness,
+                    verticals,
+                }),
+                {
+                    // A partial response is kept briefly so a failed section is retried soon.
+                    ttl: (value) => (Object.keys(value.errors).length ? PARTIAL_RESULT_TTL : ttl),
+                    staleTtl,
+                }
+            );
+            return res.status(200).json({ page: 1, ...result });
+        } catch (error) {
+            logger.error("Blended search error", {
+                query: q,
+                country,
+                status: error.status,
+                message: error.message,
+                details: error.details,
+            });
+            return res.status(error.status || 500).json({
+                error: "Error fetching search results",
+            });
         }
+    }
 
-        const { data } = await axios.get(apiUrl, {
-            headers: {
-                Accept: "application/json",
-                "Accept-Encoding": "gzip",
-                "X-Subscription-Token": process.env.BRAVE_API_KEY,
-            },
-            params,
-        });
-
-        if (
-            data.query?.country &&
-            data.query?.country.toLowerCase() !== country.toLowerCase()
-        ) {
-            country = data.query.country;
-        }
-
-        let items = [];
-        const processMetaData = (item) => ({
-            creator:
-                item.video?.creator ||
-                item.source ||
-                item.profile?.name ||
-                item.meta_url?.hostname ||
-                null,
-            image: item.thumbnail?.original || item.meta_url?.favicon || null,
-            thumbnail: item.thumbnail?.src || item.meta_url?.favicon || null,
-            creatorChannel: item.video?.author?.url || null,
-            duration: item.video?.duration || null,
-            views: item.video?.views || null,
-        });
-
-        if (type === "news") {
-            items = (data.results || []).map((item) => ({
-                type: "news",
-                title: item.title || "Untitled",
-                description: item.description || "No description available",
-                link: item.url,
-                published: item.age || "Unknown",
-                meta_data: processMetaData(item),
-            }));
-        } else if (type === "video") {
-            items = (data.results || []).map((item) => ({
-                type: "video",
-                title: item.title || "Untitled",
-                description: item.description || "No description available",
-                link: item.url,
-                published: item.age || "Unknown",
-                meta_data: processMetaData(item),
-            }));
-        } else if (type === "image") {
-            items = (data.results || []).map((item) => ({
-                type: "image",
-                title: item.title || "Untitled",
-                link: item.url,
-                description: item.description || null,
-                published: item.age || null,
-                meta_data: processMetaData(item),
-            }));
-        } else {
-            items = (data.web?.results || []).map((item) => ({
-                type: "web",
-                title: item.title || "Untitled",
-                link: item.url,
-                description: item.description || "No description available",
-                published: item.age || "Unknown",
-                meta_data: processMetaData(item),
-            }));
-        }
+    try {
+        const { provider, result } = await searchCache.getOrLoad(
+            cacheKey,
+            () => searchService.search({
+                q,
+                type: vertical,
+                page: Number(page),
+                limit: Number(limit),
+                country,
+                language,
+                safesearch,
+                freshness,
+            }),
+            searchCacheTtl(vertical)
+        );
 
-        // 📌 **Cache & Return Result**
-        const result = { page, country, items };
-        cache.set(cacheKey, result);
-        res.status(200).json(result);
+        res.status(200).json({ page, country: result.country, provider, items: result.items });
     } catch (error) {
-        logger.error("Brave API Error", {
+        logger.error("Search provider error", {
             query: q,
             page,
             country,
-            status: error.response?.status,
+            status: error.status,
             message: error.message,
-            response: error.response,
+            details: error.details,
         });
 
-        res.status(error.response?.status || 500).json({
-            error: "Error fetching data from Brave API",
+        res.status(error.status || 500).json({
+            error: "Error fetching search results",
         });
     }
 });
@@ -1,38 +1,85 @@
 const express = require('express');
-const User = require('../models/user');
 const Tab = require('../models/tab');
+const sessionService = require('../services/sessionService');
+const { validatePayload } = require('../utils/validators');
+const { disconnectSessions } = require('../websocket');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // ✅ Logout User
 router.post('/logout', async (req, res) => {
-    const sessionToken = req.headers.authorization?.split(' ')[1];
+    try {
+        await sessionService.revokeSession(req.user.username, req.session._id);
+        disconnectSessions([req.session._id.toString()], 'Logged out');
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (err) {
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
 
-    if (!sessionToken) return res.status(400).json({ message: 'No session token provided' });
+// ✅ List Active Sessions
+router.get('/sessions', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const sessions = await sessionService.listSessions(username);
+        const currentId = req.session._id.toString();
+        res.status(200).json({
+            sessions: sessions.map((session) => ({
+                ...session.toObject(),
+                current: session._id.toString() === currentId,
+            })),
+        });
+    } catch (err) {
+        logger.error(`Error listing sessions for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// ✅ Revoke a Single Session
+router.post('/revoke', validatePayload('revokeSession'), async (req, res) => {
+    const { username } = req.user;
+    const { sessionId } = req.payload;
 
     try {
-        const user = await User.findOne({ sessionToken });
-        if (!user) return res.status(400).json({ message: 'Invalid session' });
+        const session = await sessionService.revokeSession(username, sessionId);
+        if (!session) return res.status(404).json({ message: 'Session not found' });
 
-        user.sessionToken = null;
-        await user.save();
-        res.status(200).json({ message: 'Logged out successfully' });
+        disconnectSessions([session._id.toString()], 'Session revoked');
+        logger.info(`Session revoked for user ${username}: ${sessionId}`);
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (err) {
+        logger.error(`Error revoking session for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// ✅ Revoke All Sessions (optionally keeping the current one)
+router.post('/revoke-all', async (req, res) => {
+    const { username } = req.user;
+    const { exceptCurrent = false } = req.body;
+    try {
+        const revokedIds = await sessionService.revokeAllSessions(
+            username,
+            exceptCurrent ? req.session._id : null
+        );
+
+        disconnectSessions(revokedIds, 'Session revoked');
+        logger.info(`Revoked ${revokedIds.length} sessions for user ${username}`);
+        res.status(200).json({ message: 'Sessions revoked', revoked: revokedIds.length });
     } catch (err) {
+        logger.error(`Error revoking sessions for user ${username}: ${err.message}`);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 // ✅ Delete Session Data
 router.post('/delete-session', async (req, res) => {
-    const { username } = req.body;
+    const { username } = req.user;
     try {
-        const user = await User.findOne({ username });
-        if (!user) return res.status(400).json({ message: 'User not found' });
-
-        await Tab.deleteMany({ username });
-        user.sessionToken = null;
-        await user.save();
+        await Tab.deleteAllOwned(username);
+        const revokedIds = await sessionService.revokeAllSessions(username);
+        disconnectSessions(revokedIds, 'Session data cleared');
 
         res.status(200).json({ message: 'Session data cleared, user account remains.' });
     } catch (err) {
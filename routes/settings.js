@@ -0,0 +1,35 @@
+const express = require('express');
+const settingsService = require('../services/settingsService');
+const { publishChange } = require('../websocket');
+const { validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Get Settings
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const settings = await settingsService.getSettings(username);
+        res.status(200).json({ settings });
+    } catch (err) {
+        logger.error(`Error getting settings for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Update Settings (partial)
+router.patch('/', validatePayload('updateSettings'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const settings = await settingsService.updateSettings(username, req.payload);
+        await publishChange(username, 'settingsUpdated', { settings });
+        logger.info(`Settings updated for user ${username}`);
+        res.status(200).json({ settings });
+    } catch (err) {
+        logger.error(`Error updating settings for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const shortcutService = require('../services/shortcutService');
+const { publishChange } = require('../websocket');
+const { validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Get Shortcuts
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const shortcuts = await shortcutService.getShortcuts(username);
+        res.status(200).json({ shortcuts });
+    } catch (err) {
+        logger.error(`Error getting shortcuts for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Add Shortcut
+router.post('/', validatePayload('addShortcut'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const shortcut = await shortcutService.addShortcut(username, req.payload);
+        await publishChange(username, 'shortcutAdded', { shortcut });
+        logger.info(`Shortcut added for user ${username}: ${shortcut._id}`);
+        res.status(201).json({ shortcut });
+    } catch (err) {
+        logger.error(`Error adding shortcut for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Shortcut
+router.delete('/:id', validatePayload('deleteShortcut'), async (req, res) => {
+    const { username } = req.user;
+    const shortcutId = req.params.id;
+    try {
+        const shortcut = await shortcutService.deleteShortcut(username, shortcutId);
+        if (!shortcut) return res.status(404).json({ message: 'Shortcut not found' });
+
+        await publishChange(username, 'shortcutDeleted', { id: shortcutId });
+        logger.info(`Shortcut deleted for user ${username}: ${shortcutId}`);
+        res.status(200).json({ message: 'Shortcut deleted' });
+    } catch (err) {
+        logger.error(`Error deleting shortcut for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
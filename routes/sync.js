@@ -0,0 +1,22 @@
+const express = require('express');
+const syncService = require('../services/syncService');
+const { AppError } = require('../utils/errors');
+const { validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Incremental Sync
+router.post('/', validatePayload('sync'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const result = await syncService.sync(username, req.payload.cursors);
+        res.status(200).json(result);
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error syncing for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
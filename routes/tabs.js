@@ -0,0 +1,243 @@
+const express = require('express');
+const tabService = require('../services/tabService');
+const { publishChange } = require('../websocket');
+const { AppError } = require('../utils/errors');
+const { validatePayload } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 📌 Get Active Tabs
+router.get('/', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const tabs = await tabService.getTabs(username);
+        res.status(200).json({ tabs });
+    } catch (err) {
+        logger.error(`Error getting tabs for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Create Tab
+router.post('/', validatePayload('createTab'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const tab = await tabService.createTab(username, req.payload);
+        await publishChange(username, 'tabCreated', { tab });
+        logger.info(`Tab created for user ${username}: ${tab._id}`);
+        res.status(201).json({ tab });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error creating tab for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Close Tab
+router.post('/:id/close', validatePayload('closeTab'), async (req, res) => {
+    const { username } = req.user;
+    const tabId = req.params.id;
+    try {
+        const tab = await tabService.closeTab(username, tabId);
+        if (!tab) return res.status(404).json({ message: 'Tab not found or unauthorized' });
+
+        await publishChange(username, 'tabClosed', { tabId });
+        logger.info(`Tab closed for user ${username}: ${tabId}`);
+        res.status(200).json({ tab });
+    } catch (err) {
+        logger.error(`Error closing tab for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Move Tab to Group (groupId null ungroups it; a `newGroup` name is still accepted)
+router.patch('/:id/group', validatePayload('groupTab'), async (req, res) => {
+    const { username } = req.user;
+    const tabId = req.params.id;
+    const { groupId, newGroup } = req.payload;
+    try {
+        const tab = newGroup === undefined
+            ? await tabService.groupTab(username, tabId, groupId)
+            : await tabService.groupTabByName(username, tabId, newGroup);
+        if (!tab) return res.status(404).json({ message: 'Tab not found or unauthorized' });
+
+        await publishChange(username, 'tabGrouped', { tabId, groupId: tab.groupId });
+        logger.info(`Tab grouped for user ${username}: ${tabId}, Group: ${tab.groupId}`);
+        res.status(200).json({ tab });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error grouping tab for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Move Several Tabs (reorder, regroup or change window)
+router.post('/move', validatePayload('moveTabs'), async (req, res) => {
+    const { username } = req.user;
+    const { ids, ...target } = req.payload;
+    try {
+        const tabs = await tabService.moveTabs(username, ids, target);
+        await publishChange(username, 'tabsMoved', { tabs });
+        logger.info(`${tabs.length} tabs moved for user ${username}`);
+        res.status(200).json({ tabs });
+    } catch (err) {
+        if (err instanceof AppError) return res.status(err.status).json({ error: err.message, details: err.details });
+        logger.error(`Error moving tabs for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 List Tab Groups
+router.get('/groups', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const groups = await tabService.getGroups(username);
+        res.status(200).json({ groups });
+    } catch (err) {
+        logger.error(`Error getting tab groups for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Create Tab Group
+router.post('/groups', validatePayload('createTabGroup'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const group = await tabService.createGroup(username, req.payload);
+        await publishChange(username, 'tabGroupCreated', { group });
+        logger.info(`Tab group created for user ${username}: ${group._id}`);
+        res.status(201).json({ group });
+    } catch (err) {
+        logger.error(`Error creating tab group for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Rename, Recolor, Collapse or Reorder Tab Group
+router.patch('/groups/:id', validatePayload('updateTabGroup'), async (req, res) => {
+    const { username } = req.user;
+    const { id: groupId, ...changes } = req.payload;
+    try {
+        const group = await tabService.updateGroup(username, groupId, changes);
+        if (!group) return res.status(404).json({ message: 'Tab group not found' });
+
+        await publishChange(username, 'tabGroupUpdated', { group });
+        logger.info(`Tab group updated for user ${username}: ${groupId}`);
+        res.status(200).json({ group });
+    } catch (err) {
+        logger.error(`Error updating tab group for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Tab Group (ungroups its tabs, or closes them with closeTabs: true)
+router.delete('/groups/:id', validatePayload('deleteTabGroup'), async (req, res) => {
+    const { username } = req.user;
+    const { id: groupId, closeTabs = false } = req.payload;
+    try {
+        const result = await tabService.deleteGroup(username, groupId, { closeTabs });
+        if (!result) return res.status(404).json({ message: 'Tab group not found' });
+
+        const { tabIds } = result;
+        await publishChange(username, 'tabGroupDeleted', { id: groupId, tabIds, closeTabs });
+        logger.info(`Tab group deleted for user ${username}: ${groupId}, ${closeTabs ? 'closed' : 'ungrouped'} ${tabIds.length} tabs`);
+        res.status(200).json({ id: groupId, tabIds, closeTabs });
+    } catch (err) {
+        logger.error(`Error deleting tab group for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Recently Closed Tabs
+router.get('/closed', async (req, res) => {
+    const { username } = req.user;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    try {
+        const tabs = await tabService.getRecentlyClosedTabs(username, limit);
+        res.status(200).json({ tabs });
+    } catch (err) {
+        logger.error(`Error getting closed tabs for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Reopen Closed Tab
+router.post('/:id/reopen', validatePayload('reopenTab'), async (req, res) => {
+    const { username } = req.user;
+    const tabId = req.params.id;
+    try {
+        const tab = await tabService.reopenTab(username, tabId);
+        if (!tab) return res.status(404).json({ message: 'Closed tab not found' });
+
+        await publishChange(username, 'tabReopened', { tab });
+        logger.info(`Tab reopened for user ${username}: ${tabId}`);
+        res.status(200).json({ tab });
+    } catch (err) {
+        logger.error(`Error reopening tab for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 List Snapshots
+router.get('/snapshots', async (req, res) => {
+    const { username } = req.user;
+    try {
+        const snapshots = await tabService.getSnapshots(username);
+        res.status(200).json({ snapshots });
+    } catch (err) {
+        logger.error(`Error getting snapshots for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Save Open Tabs as a Snapshot
+router.post('/snapshots', validatePayload('saveSnapshot'), async (req, res) => {
+    const { username } = req.user;
+    try {
+        const snapshot = await tabService.saveSnapshot(username, req.payload.name);
+        await publishChange(username, 'snapshotSaved', { snapshot });
+        logger.info(`Snapshot saved for user ${username}: ${snapshot._id}`);
+        res.status(201).json({ snapshot });
+    } catch (err) {
+        logger.error(`Error saving snapshot for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Restore Snapshot
+router.post('/snapshots/:id/restore', validatePayload('restoreSnapshot'), async (req, res) => {
+    const { username } = req.user;
+    const { id: snapshotId, replace } = req.payload;
+    try {
+        const result = await tabService.restoreSnapshot(username, snapshotId, { replace });
+        if (!result) return res.status(404).json({ message: 'Snapshot not found' });
+
+        const { tabs, groups, closedTabIds, deletedGroupIds } = result;
+        await publishChange(username, 'snapshotRestored', { snapshotId, tabs, groups, closedTabIds, deletedGroupIds });
+        logger.info(`Snapshot restored for user ${username}: ${snapshotId}`);
+        res.status(200).json({ tabs, groups, closedTabIds, deletedGroupIds });
+    } catch (err) {
+        logger.error(`Error restoring snapshot for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// 📌 Delete Snapshot
+router.delete('/snapshots/:id', validatePayload('deleteSnapshot'), async (req, res) => {
+    const { username } = req.user;
+    const snapshotId = req.params.id;
+    try {
+        const snapshot = await tabService.deleteSnapshot(username, snapshotId);
+        if (!snapshot) return res.status(404).json({ message: 'Snapshot not found' });
+
+        await publishChange(username, 'snapshotDeleted', { id: snapshotId });
+        logger.info(`Snapshot deleted for user ${username}: ${snapshotId}`);
+        res.status(200).json({ message: 'Snapshot deleted' });
+    } catch (err) {
+        logger.error(`Error deleting snapshot for user ${username}: ${err.message}`);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
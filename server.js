@@ -5,22 +5,27 @@ const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/db");
 const logger = require("./utils/logger");
-const { userCleanupJob } = require("./jobs/userCleanup");
-const { initializeWebSocketServer } = require("./utils/websocket");
+const { startJobs } = require("./jobs");
+const { getRequestIP } = require("./utils/ip");
+const { loadGeoDatabase } = require("./utils/geoip");
+const { initializeWebSocketServer } = require("./websocket");
 const User = require("./models/user");
+const sessionService = require("./services/sessionService");
 
 const app = express();
-app.use(express.json());
+// Bookmark imports are parsed by the bookmarks router with a larger limit, once
+// the request is authenticated.
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === "/bookmarks/import" ? next() : parseJson(req, res, next)));
 
 connectDB();
-userCleanupJob.start();
+startJobs();
+loadGeoDatabase();
 
 const bannedIPs = new Map();
 
 app.use(async (req, res, next) => {
-    const ip = (req.headers["x-forwarded-for"] || req.socket.remoteAddress || "")
-        .split(",")[0]
-        .trim();
+    const ip = getRequestIP(req);
     const currentTime = Date.now();
 
     bannedIPs.forEach((unbanTime, bannedIp) => {
@@ -36,6 +41,7 @@ app.use(async (req, res, next) => {
     if (
         req.path.startsWith("/auth/register") ||
         req.path.startsWith("/auth/verify") ||
+        req.path.startsWith("/auth/refresh") ||
         req.path.startsWith("/auth/request-email-otp")
     )
         return next();
@@ -48,11 +54,12 @@ app.use(async (req, res, next) => {
         return res.status(403).json({ error: "Forbidden. Missing credentials." });
     }
 
-    const user = await User.findOne({ sessionToken });
+    const session = await sessionService.verifySession(sessionToken);
+    const user = session && (await User.findOne({ username: session.username }));
 
-    if (!user || user.sessionToken !== sessionToken) {
+    if (!user) {
         logger.warn(`Unauthorized request from IP: ${ip}`);
-        return res.status(403).json({ error: "Forbidden. Invalid session." });
+        return res.status(401).json({ error: "Session expired or invalid." });
     }
 
     if (
@@ -65,27 +72,30 @@ app.use(async (req, res, next) => {
             .json({ error: "You are temporarily banned. Try again later." });
     }
 
+    await sessionService.touchSession(session, ip);
+    req.user = user;
+    req.session = session;
     next();
 });
 
+const findUserBySessionToken = async (sessionToken) => {
+    if (!sessionToken) return null;
+    const session = await sessionService.verifySession(sessionToken);
+    return session ? User.findOne({ username: session.username }) : null;
+};
+
 const globalLimiter = rateLimit({
     windowMs: 10 * 1000,
     max: 20,
     message: { error: "Too many requests, slow down." },
     handler: async (req, res) => {
-        const ip = (
-            req.headers["x-forwarded-for"] ||
-            req.socket.remoteAddress ||
-            ""
-        )
-            .split(",")[0]
-            .trim();
+        const ip = getRequestIP(req);
         logger.warn(`Rate limit exceeded for IP: ${ip}`);
         bannedIPs.set(ip, Date.now() + 10 * 60 * 1000);
 
-        const user = await User.findOne({
-            sessionToken: req.headers["sessiontoken"] || req.headers["sessionToken"],
-        });
+        const user = await findUserBySessionToken(
+            req.headers["sessiontoken"] || req.headers["sessionToken"]
+        );
         if (user) {
             user.isBan = { IP: ip, bannedTime: Date.now() + 10 * 60 * 1000 };
             await user.save();
@@ -95,12 +105,7 @@ const globalLimiter = rateLimit({
             .status(429)
             .json({ error: "Too many requests. You are temporarily banned." });
     },
-    keyGenerator: (req) => {
-        const forwarded = req.headers["x-forwarded-for"];
-        return (
-            forwarded ? forwarded.split(",")[0] : req.socket.remoteAddress || ""
-        ).trim();
-    },
+    keyGenerator: getRequestIP,
 });
 
 app.use(globalLimiter);
@@ -111,20 +116,13 @@ const createRateLimiter = (maxRequests, windowMs) =>
         max: maxRequests,
         message: { error: "Too many requests, slow down." },
         handler: async (req, res) => {
-            const ip = (
-                req.headers["x-forwarded-for"] ||
-                req.socket.remoteAddress ||
-                ""
-            )
-                .split(",")[0]
-                .trim();
+            const ip = getRequestIP(req);
             logger.warn(`Rate limit exceeded for IP: ${ip}`);
             bannedIPs.set(ip, Date.now() + 10 * 60 * 1000);
 
-            const user = await User.findOne({
-                sessionToken:
-                    req.headers["sessiontoken"] || req.headers["sessionToken"],
-            });
+            const user = await findUserBySessionToken(
+                req.headers["sessiontoken"] || req.headers["sessionToken"]
+            );
             if (user) {
                 user.isBan = { IP: ip, bannedTime: Date.now() + 10 * 60 * 1000 };
                 await user.save();
@@ -134,12 +132,7 @@ const createRateLimiter = (maxRequests, windowMs) =>
                 .status(429)
                 .json({ error: "Too many requests. You are temporarily banned." });
         },
-        keyGenerator: (req) => {
-            const forwarded = req.headers["x-forwarded-for"];
-            return (
-                forwarded ? forwarded.split(",")[0] : req.socket.remoteAddress || ""
-            ).trim();
-        },
+        keyGenerator: getRequestIP,
     });
 
 const searchLimiter = createRateLimiter(5, 1000);
@@ -150,7 +143,16 @@ app.use(cors({ origin: "*" }));
 
 app.use("/auth", authLimiter, require("./routes/auth"));
 app.use("/session", require("./routes/session"));
+app.use("/account", authLimiter, require("./routes/account"));
 app.use("/search", searchLimiter, require("./routes/search"));
+app.use("/tabs", require("./routes/tabs"));
+app.use("/shortcuts", require("./routes/shortcuts"));
+app.use("/history", require("./routes/history"));
+app.use("/bookmarks", require("./routes/bookmarks"));
+app.use("/notes", require("./routes/notes"));
+app.use("/sync", require("./routes/sync"));
+app.use("/settings", require("./routes/settings"));
+app.use("/admin", require("./routes/admin"));
 
 const PORT = process.env.PORT || 5001;
 const server = http.createServer(app);
@@ -0,0 +1,76 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ChangeEvent = require('../models/changeEvent');
+const Tab = require('../models/tab');
+const TabGroup = require('../models/tabGroup');
+const TabSnapshot = require('../models/tabSnapshot');
+const Shortcut = require('../models/shortcut');
+const History = require('../models/history');
+const Bookmark = require('../models/bookmark');
+const BookmarkFolder = require('../models/bookmarkFolder');
+const Note = require('../models/note');
+const NoteRevision = require('../models/noteRevision');
+const AuditLog = require('../models/auditLog');
+
+// Every collection holding a user's data, keyed by the record type used in exports.
+// New user-owned models must be added here so export and deletion cover them.
+const userCollections = {
+    session: Session,
+    tab: Tab,
+    tabGroup: TabGroup,
+    tabSnapshot: TabSnapshot,
+    shortcut: Shortcut,
+    history: History,
+    bookmark: Bookmark,
+    bookmarkFolder: BookmarkFolder,
+    note: Note,
+    noteRevision: NoteRevision,
+    changeEvent: ChangeEvent,
+};
+
+// Fields that must never leave the server, per record type.
+const privateFields = {
+    user: '-totpSecret',
+    session: '-refreshTokenHash -usedRefreshTokenHashes',
+};
+
+const recordAudit = (username, action, { ip, userAgent, metadata } = {}) =>
+    new AuditLog({ username, action, ip, userAgent, metadata }).save();
+
+// NDJSON lines, one `{ type, data }` record each. Tombstones (deleted documents
+// kept only so other devices can sync the delete) are not the user's data any
+// more and are left out.
+async function* exportLines(username) {
+    const user = await User.findOne({ username }).select(privateFields.user);
+    yield `${JSON.stringify({ type: 'user', data: user })}\n`;
+
+    for (const [type, Model] of Object.entries(userCollections)) {
+        const filter = Model.schema.path('deletedAt') ? { username, deletedAt: null } : { username };
+        const cursor = Model.find(filter).select(privateFields[type] || '').lean().cursor();
+        for await (const doc of cursor) {
+            yield `${JSON.stringify({ type, data: doc })}\n`;
+        }
+    }
+}
+
+// Streams the account into `stream` and ends it, honouring backpressure so large
+// histories never sit in memory. Rejects if the stream closes early (e.g. the
+// client disconnects), which also closes the open cursor.
+const exportAccount = (username, stream) => pipeline(Readable.from(exportLines(username)), stream);
+
+// Removes the user and everything they own; returns per-type deletion counts.
+const deleteAccount = async (username) => {
+    const deleted = {};
+    for (const [type, Model] of Object.entries(userCollections)) {
+        const { deletedCount } = await Model.deleteMany({ username });
+        deleted[type] = deletedCount;
+    }
+
+    const { deletedCount } = await User.deleteOne({ username });
+    deleted.user = deletedCount;
+    return deleted;
+};
+
+module.exports = { userCollections, recordAudit, exportAccount, deleteAccount };
@@ -0,0 +1,193 @@
+const Bookmark = require('../models/bookmark');
+const BookmarkFolder = require('../models/bookmarkFolder');
+const { AppError, notFound, conflict } = require('../utils/errors');
+
+// Two URLs that only differ by fragment or a trailing slash are the same bookmark.
+const normalizeUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.toString().replace(/\/$/, '');
+    } catch (err) {
+        return url;
+    }
+};
+
+const normalizeTags = (tags) => [...new Set(tags.map((tag) => tag.toLowerCase()))];
+
+const findDuplicate = async (username, url, excludeId = null) => {
+    const filter = { $or: [{ urlKey: normalizeUrl(url) }, { url }] };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const [existing] = await Bookmark.findOwned(username, filter).limit(1);
+    return existing || null;
+};
+
+const assertNotDuplicate = async (username, url, excludeId = null) => {
+    const existing = await findDuplicate(username, url, excludeId);
+    if (existing) {
+        throw new AppError('Bookmark already exists', {
+            status: 409,
+            code: 'DUPLICATE_URL',
+            details: { existing },
+        });
+    }
+};
+
+const assertFolder = async (username, folderId) => {
+    if (!folderId) return;
+    const folder = await BookmarkFolder.findOneOwned(username, folderId);
+    if (!folder) throw notFound('Folder not found');
+};
+
+// Folders and bookmarks share one ordering within their parent folder.
+const nextPosition = async (username, folderId) => {
+    const [lastBookmark] = await Bookmark.findOwned(username, { folderId }).sort({ position: -1 }).limit(1);
+    const [lastFolder] = await BookmarkFolder.findOwned(username, { parentId: folderId }).sort({ position: -1 }).limit(1);
+    return Math.max(lastBookmark ? lastBookmark.position + 1 : 0, lastFolder ? lastFolder.position + 1 : 0);
+};
+
+// Opens a slot at `position` by shifting the siblings at or after it.
+const placeAt = async (username, folderId, position) => {
+    if (position === undefined) return nextPosition(username, folderId);
+
+    await Promise.all([
+        Bookmark.updateAllOwned(username, { folderId, position: { $gte: position } }, { $inc: { position: 1 } }),
+        BookmarkFolder.updateAllOwned(username, { parentId: folderId, position: { $gte: position } }, { $inc: { position: 1 } }),
+    ]);
+    return position;
+};
+
+// --------------------------------------
+// Bookmarks
+// --------------------------------------
+const addBookmark = async (username, bookmarkData) => {
+    const { folderId = null, position, tags = [], ...fields } = bookmarkData;
+    await assertNotDuplicate(username, fields.url);
+    await assertFolder(username, folderId);
+
+    const bookmark = new Bookmark({
+        ...fields,
+        username,
+        urlKey: normalizeUrl(fields.url),
+        tags: normalizeTags(tags),
+        folderId,
+        position: await placeAt(username, folderId, position),
+    });
+    await bookmark.save();
+    return bookmark;
+};
+
+// A stale `version` is rejected with the current copy; omitting it keeps last-write-wins.
+const updateBookmark = async (username, bookmarkId, bookmarkData) => {
+    const { version, ...changes } = bookmarkData;
+    if (changes.url) {
+        await assertNotDuplicate(username, changes.url, bookmarkId);
+        changes.urlKey = normalizeUrl(changes.url);
+    }
+    if (changes.tags) changes.tags = normalizeTags(changes.tags);
+
+    const bookmark = await Bookmark.updateOwned(username, bookmarkId, changes, { version });
+    if (bookmark || version === undefined) return bookmark;
+
+    const current = await Bookmark.findOneOwned(username, bookmarkId);
+    if (!current) return null;
+    throw conflict(current);
+};
+
+const moveBookmark = async (username, bookmarkId, folderId = null, position) => {
+    const bookmark = await Bookmark.findOneOwned(username, bookmarkId);
+    if (!bookmark) return null;
+    await assertFolder(username, folderId);
+
+    return Bookmark.updateOwned(username, bookmarkId, {
+        folderId,
+        position: await placeAt(username, folderId, position),
+    });
+};
+
+const deleteBookmark = (username, bookmarkId) => Bookmark.deleteOwned(username, bookmarkId);
+
+const getBookmarks = async (username) => {
+    const [bookmarks, folders] = await Promise.all([
+        Bookmark.findOwned(username).sort({ folderId: 1, position: 1 }),
+        BookmarkFolder.findOwned(username).sort({ parentId: 1, position: 1 }),
+    ]);
+    return { bookmarks, folders };
+};
+
+// --------------------------------------
+// Folders
+// --------------------------------------
+const createFolder = async (username, { name, parentId = null, position }) => {
+    await assertFolder(username, parentId);
+
+    const folder = new BookmarkFolder({
+        username,
+        name,
+        parentId,
+        position: await placeAt(username, parentId, position),
+    });
+    await folder.save();
+    return folder;
+};
+
+const renameFolder = (username, folderId, name) => BookmarkFolder.updateOwned(username, folderId, { name });
+
+// Ids of the folder and every folder nested below it.
+const collectSubtree = async (username, folderId) => {
+    const ids = [folderId];
+    let frontier = [folderId];
+    while (frontier.length) {
+        const children = await BookmarkFolder.findOwned(username, { parentId: { $in: frontier } }).select('_id');
+        frontier = children.map((child) => child._id);
+        ids.push(...frontier);
+    }
+    return ids;
+};
+
+// Contents travel with the folder since they reference it by id.
+const moveFolder = async (username, folderId, parentId = null, position) => {
+    const folder = await BookmarkFolder.findOneOwned(username, folderId);
+    if (!folder) return null;
+    await assertFolder(username, parentId);
+
+    if (parentId) {
+        const subtree = await collectSubtree(username, folder._id);
+        if (subtree.some((id) => id.toString() === parentId.toString())) {
+            throw new AppError('Cannot move a folder into itself or one of its subfolders');
+        }
+    }
+
+    return BookmarkFolder.updateOwned(username, folderId, {
+        parentId,
+        position: await placeAt(username, parentId, position),
+    });
+};
+
+// Deletes the folder, its subfolders and every bookmark inside them.
+const deleteFolder = async (username, folderId) => {
+    const folder = await BookmarkFolder.findOneOwned(username, folderId);
+    if (!folder) return null;
+
+    const folderIds = await collectSubtree(username, folder._id);
+    const [{ deletedCount: bookmarks }, { deletedCount: folders }] = await Promise.all([
+        Bookmark.deleteAllOwned(username, { folderId: { $in: folderIds } }),
+        BookmarkFolder.deleteAllOwned(username, { _id: { $in: folderIds } }),
+    ]);
+    return { folder, folderIds, deleted: { bookmarks, folders } };
+};
+
+module.exports = {
+    normalizeUrl,
+    normalizeTags,
+    nextPosition,
+    addBookmark,
+    updateBookmark,
+    moveBookmark,
+    deleteBookmark,
+    getBookmarks,
+    createFolder,
+    renameFolder,
+    moveFolder,
+    deleteFolder,
+};
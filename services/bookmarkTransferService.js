@@ -0,0 +1,150 @@
+const Bookmark = require('../models/bookmark');
+const BookmarkFolder = require('../models/bookmarkFolder');
+const { normalizeUrl, normalizeTags, nextPosition, getBookmarks } = require('./bookmarkService');
+const { AppError } = require('../utils/errors');
+const { limits } = require('../utils/validators');
+
+const MAX_IMPORT_ITEMS = 20000;
+const INSERT_BATCH_SIZE = 500;
+
+const isImportableUrl = (url) => {
+    if (typeof url !== 'string' || url.length > limits.MAX_URL_LENGTH) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (err) {
+        return false;
+    }
+};
+
+const countNodes = (nodes) =>
+    nodes.reduce((total, node) => total + 1 + (node.type === 'folder' ? countNodes(node.children) : 0), 0);
+
+// Accepts the tree produced by the JSON export, dropping anything malformed.
+const fromJson = (nodes) => {
+    if (!Array.isArray(nodes)) throw new AppError('Expected a "bookmarks" array');
+
+    return nodes
+        .filter((node) => node && typeof node === 'object')
+        .map((node) =>
+            Array.isArray(node.children)
+                ? { type: 'folder', name: String(node.name || 'Untitled folder'), children: fromJson(node.children) }
+                : {
+                    type: 'bookmark',
+                    title: typeof node.title === 'string' ? node.title : '',
+                    url: node.url,
+                    addDate: node.addDate && !Number.isNaN(Date.parse(node.addDate)) ? new Date(node.addDate) : null,
+                    tags: Array.isArray(node.tags) ? node.tags.filter((tag) => typeof tag === 'string') : [],
+                    description: typeof node.description === 'string' ? node.description : '',
+                }
+        );
+};
+
+// Folders are merged into same-named folders at the same level; bookmarks whose
+// URL the user already has (or that appear twice in the file) are skipped.
+const importBookmarks = async (username, tree) => {
+    if (countNodes(tree) > MAX_IMPORT_ITEMS) {
+        throw new AppError(`Imports are limited to ${MAX_IMPORT_ITEMS} items`, { status: 413, code: 'IMPORT_TOO_LARGE' });
+    }
+
+    const existing = await Bookmark.findOwned(username).select('url urlKey');
+    const seen = new Set(existing.map((bookmark) => bookmark.urlKey || normalizeUrl(bookmark.url)));
+    const stats = { folders: 0, bookmarks: 0, duplicates: 0, invalid: 0 };
+    const docs = [];
+
+    const positions = new Map();
+    const claimPosition = async (parentId) => {
+        const key = String(parentId);
+        if (!positions.has(key)) positions.set(key, await nextPosition(username, parentId));
+        const position = positions.get(key);
+        positions.set(key, position + 1);
+        return position;
+    };
+
+    const importLevel = async (nodes, parentId) => {
+        for (const node of nodes) {
+            if (node.type === 'folder') {
+                const name = node.name.trim().slice(0, limits.MAX_FOLDER_NAME_LENGTH) || 'Untitled folder';
+                let [folder] = await BookmarkFolder.findOwned(username, { parentId, name }).limit(1);
+                if (!folder) {
+                    folder = new BookmarkFolder({ username, name, parentId, position: await claimPosition(parentId) });
+                    await folder.save();
+                    stats.folders++;
+                }
+                await importLevel(node.children, folder._id);
+                continue;
+            }
+
+            if (!isImportableUrl(node.url)) {
+                stats.invalid++;
+                continue;
+            }
+
+            const urlKey = normalizeUrl(node.url);
+            if (seen.has(urlKey)) {
+                stats.duplicates++;
+                continue;
+            }
+            seen.add(urlKey);
+
+            docs.push({
+                username,
+                title: (node.title.trim() || node.url).slice(0, limits.MAX_TITLE_LENGTH),
+                url: node.url,
+                urlKey,
+                description: node.description.slice(0, limits.MAX_DESCRIPTION_LENGTH),
+                tags: normalizeTags(
+                    node.tags.map((tag) => tag.trim().slice(0, limits.MAX_TAG_LENGTH)).filter(Boolean)
+                ).slice(0, limits.MAX_TAGS),
+                folderId: parentId,
+                position: await claimPosition(parentId),
+                timestamp: node.addDate || Date.now(),
+            });
+        }
+    };
+
+    await importLevel(tree, null);
+
+    for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+        await Bookmark.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE));
+    }
+    stats.bookmarks = docs.length;
+
+    return stats;
+};
+
+// Builds the folder tree in display order.
+const exportBookmarks = async (username) => {
+    const { bookmarks, folders } = await getBookmarks(username);
+    const folderIds = new Set(folders.map((folder) => folder._id.toString()));
+    const children = new Map();
+
+    const addChild = (parentId, node) => {
+        const key = parentId && folderIds.has(parentId.toString()) ? parentId.toString() : 'root';
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(node);
+    };
+
+    folders.forEach((folder) =>
+        addChild(folder.parentId, { position: folder.position, id: folder._id.toString(), type: 'folder', name: folder.name, addDate: folder.createdAt })
+    );
+    bookmarks.forEach((bookmark) =>
+        addChild(bookmark.folderId, {
+            position: bookmark.position,
+            type: 'bookmark',
+            title: bookmark.title,
+            url: bookmark.url,
+            description: bookmark.description,
+            tags: bookmark.tags,
+            addDate: bookmark.timestamp,
+        })
+    );
+
+    const build = (key) =>
+        (children.get(key) || [])
+            .sort((a, b) => a.position - b.position)
+            .map(({ position, id, ...node }) => (node.type === 'folder' ? { ...node, children: build(id) } : node));
+
+    return build('root');
+};
+
+module.exports = { fromJson, importBookmarks, exportBookmarks };
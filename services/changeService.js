@@ -0,0 +1,36 @@
+const User = require('../models/user');
+const ChangeEvent = require('../models/changeEvent');
+
+const MAX_REPLAY = 500;
+
+const recordChange = async (username, action, data) => {
+    const user = await User.findOneAndUpdate(
+        { username },
+        { $inc: { changeSeq: 1 } },
+        { new: true, projection: { changeSeq: 1 } }
+    );
+    if (!user) return null;
+
+    const event = new ChangeEvent({ username, seq: user.changeSeq, action, data });
+    await event.save();
+    return event;
+};
+
+// Returns the events after `since`. `resyncRequired` is set when some of them
+// have already expired, in which case the client must refetch everything.
+const getChangesSince = async (username, since) => {
+    const user = await User.findOne({ username }).select('changeSeq');
+    const seq = user ? user.changeSeq : 0;
+
+    const changes = await ChangeEvent.find({ username, seq: { $gt: since } })
+        .sort({ seq: 1 })
+        .limit(MAX_REPLAY)
+        .select('-_id seq action data createdAt');
+
+    const resyncRequired = since < seq && (!changes.length || changes[0].seq !== since + 1);
+    const hasMore = changes.length === MAX_REPLAY && changes[changes.length - 1].seq < seq;
+
+    return { seq, changes, resyncRequired, hasMore };
+};
+
+module.exports = { recordChange, getChangesSince };
@@ -0,0 +1,107 @@
+const History = require('../models/history');
+const { escapeRegExp } = require('../utils/highlight');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { AppError } = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const toDomain = (value) => {
+    try {
+        const { hostname } = new URL(value.includes('://') ? value : `http://${value}`);
+        return hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch (err) {
+        return null;
+    }
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Filter conditions shared by queries and deletes. A domain also matches its
+// subdomains, so "example.com" covers "docs.example.com". Entries recorded
+// before `domain` was stored get it from migrations/backfillFields.js.
+const conditions = ({ from, to, domain, q }) => {
+    const and = [];
+    if (from) and.push({ timestamp: { $gte: from } });
+    if (to) and.push({ timestamp: { $lte: to } });
+    if (domain) and.push({ domain: new RegExp(`(^|\\.)${escapeRegExp(toDomain(domain) || domain)}$`) });
+    if (q) {
+        const text = new RegExp(escapeRegExp(q), 'i');
+        and.push({ $or: [{ title: text }, { url: text }] });
+    }
+    return and;
+};
+
+const addHistory = async (username, { title, url, timestamp }) => {
+    const visitedAt = timestamp || new Date();
+    return History.findOneAndUpdate(
+        { username, url, day: toDay(visitedAt), deletedAt: null },
+        {
+            $set: { title, domain: toDomain(url) },
+            $inc: { visitCount: 1 },
+            $min: { firstVisitAt: visitedAt },
+            $max: { timestamp: visitedAt },
+        },
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+// Newest first, paginated by an opaque cursor. Grouped by day unless
+// `groupBy` is 'visit'; a day cut by the page size continues on the next page
+// under the same `day` key.
+const getHistory = async (username, options = {}) => {
+    const { cursor, limit = DEFAULT_PAGE_SIZE, groupBy = 'day' } = options;
+    const and = conditions(options);
+    if (cursor) {
+        const { time, id } = decodeCursor(cursor);
+        and.push({ $or: [{ timestamp: { $lt: time } }, { timestamp: time, _id: { $lt: id } }] });
+    }
+
+    const entries = await History.findOwned(username, and.length ? { $and: and } : {})
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    const last = entries[entries.length - 1];
+    const page = { cursor: hasMore ? encodeCursor(last.timestamp, last._id) : null, hasMore };
+    if (groupBy === 'visit') return { history: entries, ...page };
+
+    const days = [];
+    for (const entry of entries) {
+        const day = entry.day || toDay(entry.timestamp);
+        if (!days.length || days[days.length - 1].day !== day) days.push({ day, visitCount: 0, entries: [] });
+        days[days.length - 1].visitCount += entry.visitCount;
+        days[days.length - 1].entries.push(entry);
+    }
+    return { days, ...page };
+};
+
+// `ids`, `domain` and the time range narrow the selection together; `range` is
+// a preset ending now. Clearing everything takes an explicit `all`, so a
+// request whose filters got lost never wipes the whole history.
+// Returns the deleted ids, or null when everything was deleted.
+const deleteHistory = async (username, { ids, domain, range, from, to, all = false } = {}) => {
+    const filtered = Boolean(ids || domain || range || from || to);
+    if (filtered === all) {
+        throw new AppError(all ? 'all cannot be combined with filters' : 'Pass filters, or all: true to delete everything', {
+            code: 'INVALID_FILTERS',
+        });
+    }
+
+    if (all) {
+        const { deletedCount } = await History.deleteAllOwned(username);
+        return { deletedCount, ids: null };
+    }
+
+    const since = range ? new Date(Date.now() - History.RANGES[range]) : null;
+    const and = conditions({ domain, to, from: since && (!from || since > from) ? since : from });
+    if (ids) and.push({ _id: { $in: ids } });
+
+    const entries = await History.findOwned(username, { $and: and }).select('_id');
+    const deletedIds = entries.map((entry) => entry._id);
+    const { deletedCount } = await History.deleteAllOwned(username, { _id: { $in: deletedIds } });
+    return { deletedCount, ids: deletedIds };
+};
+
+module.exports = { toDomain, toDay, addHistory, getHistory, deleteHistory };
@@ -0,0 +1,126 @@
+const History = require('../models/history');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const { escapeRegExp, queryTerms, highlight } = require('../utils/highlight');
+
+// Per type: the model and how a matched document becomes a search result.
+const sources = {
+    history: {
+        Model: History,
+        toResult: (doc, terms) => ({
+            title: doc.title,
+            url: doc.url,
+            highlights: {
+                title: highlight(doc.title, terms),
+                url: highlight(doc.url, terms),
+            },
+        }),
+    },
+    bookmarks: {
+        Model: Bookmark,
+        toResult: (doc, terms) => ({
+            title: doc.title,
+            url: doc.url,
+            tags: doc.tags,
+            folderId: doc.folderId,
+            highlights: {
+                title: highlight(doc.title, terms),
+                description: highlight(doc.description, terms),
+                url: highlight(doc.url, terms),
+            },
+        }),
+    },
+    notes: {
+        Model: Note,
+        toResult: (doc, terms) => ({
+            title: doc.title,
+            url: doc.url,
+            tags: doc.tags,
+            snippet: doc.content.slice(0, 160),
+            highlights: {
+                title: highlight(doc.title, terms),
+                content: highlight(doc.content, terms, { maxLength: 240 }),
+            },
+        }),
+    },
+};
+
+const LOCAL_SEARCH_TYPES = Object.keys(sources);
+
+const dateRange = (from, to) => {
+    if (!from && !to) return {};
+    const timestamp = {};
+    if (from) timestamp.$gte = from;
+    if (to) timestamp.$lte = to;
+    return { timestamp };
+};
+
+// Ranked full-text search over the user's own data. Each type is queried
+// through its text index and the results are merged by text score, newest first
+// on ties.
+const search = async (username, query, { types = LOCAL_SEARCH_TYPES, from, to, page = 1, limit = 20 } = {}) => {
+    const terms = queryTerms(query);
+    // Every type may contribute the whole requested page, so fetch that many of each.
+    const window = page * limit;
+
+    const perType = await Promise.all(
+        types.map(async (type) => {
+            const { Model, toResult } = sources[type];
+            const docs = await Model.findOwned(username, { $text: { $search: query }, ...dateRange(from, to) })
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+                .limit(window)
+                .lean();
+
+            return docs.map((doc) => ({
+                type,
+                id: doc._id,
+                score: doc.score,
+                timestamp: doc.timestamp,
+                ...toResult(doc, terms),
+            }));
+        })
+    );
+
+    const results = perType
+        .flat()
+        .sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+
+    return {
+        results: results.slice((page - 1) * limit, page * limit),
+        hasMore: results.length > page * limit,
+    };
+};
+
+// Omnibox suggestions from history and bookmarks. Text indexes only match whole
+// words, so this matches word prefixes instead (`git` finds "GitHub") and ranks
+// bookmarks ahead of history, newest first.
+const suggest = async (username, query, limit = 5) => {
+    const prefix = new RegExp(`(^|[^\\w])${escapeRegExp(query.trim())}`, 'i');
+    const filter = { $or: [{ title: prefix }, { url: prefix }] };
+    const terms = queryTerms(query);
+
+    const [bookmarks, history] = await Promise.all([
+        Bookmark.findOwned(username, filter).sort({ timestamp: -1 }).limit(limit).lean(),
+        History.findOwned(username, filter).sort({ timestamp: -1 }).limit(limit * 2).lean(),
+    ]);
+
+    const seen = new Set();
+    const suggestions = [];
+    for (const [type, docs] of [['bookmarks', bookmarks], ['history', history]]) {
+        for (const doc of docs) {
+            if (seen.has(doc.url) || suggestions.length >= limit) continue;
+            seen.add(doc.url);
+            suggestions.push({
+                type,
+                id: doc._id,
+                title: doc.title,
+                url: doc.url,
+                highlights: { title: highlight(doc.title, terms) },
+            });
+        }
+    }
+    return suggestions;
+};
+
+module.exports = { LOCAL_SEARCH_TYPES, search, suggest };
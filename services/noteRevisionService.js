@@ -0,0 +1,83 @@
+const Note = require('../models/note');
+const NoteRevision = require('../models/noteRevision');
+const { notFound } = require('../utils/errors');
+const { diffLines } = require('../utils/textMerge');
+
+// Newest revisions kept per note, and the age after which the pruning job drops
+// older ones (0 keeps them until the cap pushes them out).
+const MAX_REVISIONS = Number(process.env.NOTE_MAX_REVISIONS) || 50;
+const MAX_AGE_DAYS = Number(process.env.NOTE_REVISION_MAX_AGE_DAYS) || 0;
+
+// Stores the note's current state and drops revisions beyond the cap.
+const recordRevision = async (note) => {
+    const { username, _id: noteId, version, title, content, tags } = note;
+    await NoteRevision.updateOne(
+        { noteId, version },
+        { $setOnInsert: { username, noteId, version, title, content, tags } },
+        { upsert: true }
+    );
+
+    const [oldest] = await NoteRevision.find({ noteId })
+        .sort({ version: -1 })
+        .skip(MAX_REVISIONS - 1)
+        .limit(1)
+        .select('version');
+    if (oldest) await NoteRevision.deleteMany({ noteId, version: { $lt: oldest.version } });
+};
+
+const listRevisions = async (username, noteId) => {
+    const note = await Note.findOneOwned(username, noteId);
+    if (!note) return null;
+    return NoteRevision.findOwned(username, { noteId: note._id })
+        .select('-content')
+        .sort({ version: -1 });
+};
+
+// A version of the note: the live note for its current version, otherwise the
+// stored revision.
+const getVersion = async (username, note, version) => {
+    if (version === undefined || version === note.version) return note;
+    const revision = await NoteRevision.findOne({ username, noteId: note._id, version });
+    if (!revision) throw notFound(`Revision ${version} not found`);
+    return revision;
+};
+
+// Diff between two versions; `to` defaults to the current note.
+const diffRevisions = async (username, noteId, from, to) => {
+    const note = await Note.findOneOwned(username, noteId);
+    if (!note) return null;
+
+    const [before, after] = await Promise.all([
+        getVersion(username, note, from),
+        getVersion(username, note, to),
+    ]);
+    return {
+        from: before.version,
+        to: after.version,
+        title: before.title === after.title ? null : { before: before.title, after: after.title },
+        ...diffLines(before.content, after.content),
+    };
+};
+
+const getRevision = async (username, noteId, version) => {
+    const note = await Note.findOneOwned(username, noteId);
+    if (!note) return null;
+    return getVersion(username, note, version);
+};
+
+const deleteRevisions = (username, noteId) => NoteRevision.deleteAllOwned(username, { noteId });
+
+const pruneExpiredRevisions = async () => {
+    if (!MAX_AGE_DAYS) return { deletedCount: 0 };
+    const before = new Date(Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    return NoteRevision.deleteMany({ createdAt: { $lt: before } });
+};
+
+module.exports = {
+    recordRevision,
+    listRevisions,
+    diffRevisions,
+    getRevision,
+    deleteRevisions,
+    pruneExpiredRevisions,
+};
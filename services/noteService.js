@@ -0,0 +1,113 @@
+const Note = require('../models/note');
+const Tab = require('../models/tab');
+const { normalizeUrl, normalizeTags } = require('./bookmarkService');
+const { conflict, notFound } = require('../utils/errors');
+const { mergeText } = require('../utils/textMerge');
+const { renderMarkdown } = require('../utils/markdown');
+const noteRevisionService = require('./noteRevisionService');
+
+// Resolves the page a note is attached to. Linking a tab without a URL attaches
+// the note to the tab's page; null detaches either side.
+const resolveLink = async (username, changes) => {
+    if (changes.tabId) {
+        const tab = await Tab.findOneOwned(username, changes.tabId);
+        if (!tab) throw notFound('Tab not found');
+        if (changes.url === undefined) changes.url = tab.url;
+    }
+    if (changes.url !== undefined) changes.urlKey = changes.url ? normalizeUrl(changes.url) : null;
+    if (changes.tags) changes.tags = normalizeTags(changes.tags);
+    return changes;
+};
+
+const addNote = async (username, noteData) => {
+    const note = new Note({ ...(await resolveLink(username, { ...noteData })), username });
+    await note.save();
+    await noteRevisionService.recordRevision(note);
+    return note;
+};
+
+// `version` is the version the client edited; a stale one is a conflict unless
+// the client also sent `base` (the content at that version) and its edit merges
+// cleanly with the server copy. Omitting `version` keeps last-write-wins.
+const applyUpdate = async (username, noteId, noteData) => {
+    const { version, base, ...fields } = noteData;
+    const changes = await resolveLink(username, fields);
+
+    const note = await Note.updateOwned(username, noteId, changes, { version });
+    if (note || version === undefined) return note;
+
+    const current = await Note.findOneOwned(username, noteId);
+    if (!current) return null;
+
+    if (base !== undefined && changes.content !== undefined) {
+        const { merged, conflict: unmergeable } = mergeText(base, changes.content, current.content);
+        if (!unmergeable) {
+            const mergedNote = await Note.updateOwned(
+                username,
+                noteId,
+                { ...changes, content: merged },
+                { version: current.version }
+            );
+            if (mergedNote) return mergedNote;
+        }
+    }
+
+    throw conflict((await Note.findOneOwned(username, noteId)) || current);
+};
+
+// Every successful update is kept as a revision.
+const updateNote = async (username, noteId, noteData) => {
+    const note = await applyUpdate(username, noteId, noteData);
+    if (note) await noteRevisionService.recordRevision(note);
+    return note;
+};
+
+// Brings back the title, content and tags of an earlier version as a new
+// version, so the restore itself can be undone.
+const restoreRevision = async (username, noteId, version) => {
+    const revision = await noteRevisionService.getRevision(username, noteId, version);
+    if (!revision) return null;
+
+    const { title, content, tags } = revision;
+    return updateNote(username, noteId, { title, content, tags });
+};
+
+const deleteNote = async (username, noteId) => {
+    const note = await Note.deleteOwned(username, noteId);
+    if (note) await noteRevisionService.deleteRevisions(username, note._id);
+    return note;
+};
+
+// Pinned notes first, then most recently edited. Archived notes are only
+// returned when asked for.
+const findNotes = (username, filter, { archived = false, pinned } = {}) => {
+    const query = { ...filter, archived };
+    if (pinned !== undefined) query.pinned = pinned;
+    return Note.findOwned(username, query).sort({ pinned: -1, updatedAt: -1 });
+};
+
+const getNotes = (username, options) => findNotes(username, {}, options);
+
+const getNotesByTag = (username, tag, options) => findNotes(username, { tags: tag.toLowerCase() }, options);
+
+// Notes to show when the user is on `url`, fragment and trailing slash ignored.
+const getNotesForUrl = (username, url) => findNotes(username, { urlKey: normalizeUrl(url) });
+
+const renderPreview = (content) => renderMarkdown(content);
+
+const previewNote = async (username, noteId) => {
+    const note = await Note.findOneOwned(username, noteId);
+    return note ? renderPreview(note.content) : null;
+};
+
+module.exports = {
+    addNote,
+    updateNote,
+    restoreRevision,
+    deleteNote,
+    getNotes,
+    getNotesByTag,
+    getNotesForUrl,
+    renderPreview,
+    previewNote,
+};
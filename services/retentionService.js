@@ -0,0 +1,44 @@
+const User = require('../models/user');
+const History = require('../models/history');
+const Tab = require('../models/tab');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cutoff = (days) => (days ? new Date(Date.now() - days * DAY_MS) : null);
+
+// Removes the user's history and closed tabs older than their retention
+// settings. Deletes are tombstones, so other devices drop them on next sync.
+const pruneUser = async (username, { history, closedTabs } = {}) => {
+    const historyBefore = cutoff(history);
+    const closedTabsBefore = cutoff(closedTabs);
+
+    const [historyResult, tabResult] = await Promise.all([
+        historyBefore
+            ? History.deleteAllOwned(username, { timestamp: { $lt: historyBefore } })
+            : { deletedCount: 0 },
+        closedTabsBefore
+            ? Tab.deleteAllOwned(username, { status: 'closed', closedAt: { $lt: closedTabsBefore } })
+            : { deletedCount: 0 },
+    ]);
+
+    return {
+        history: historyResult.deletedCount,
+        closedTabs: tabResult.deletedCount,
+        historyBefore,
+        closedTabsBefore,
+    };
+};
+
+// Users who keep something for a limited time, streamed to keep memory flat.
+const usersWithRetention = () =>
+    User.find({
+        $or: [
+            { 'settings.retention.history': { $ne: null } },
+            { 'settings.retention.closedTabs': { $ne: null } },
+        ],
+    })
+        .select('username settings.retention')
+        .lean()
+        .cursor();
+
+module.exports = { pruneUser, usersWithRetention };
@@ -0,0 +1,95 @@
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+const endpoints = {
+    web: 'https://api.search.brave.com/res/v1/web/search',
+    news: 'https://api.search.brave.com/res/v1/news/search',
+    video: 'https://api.search.brave.com/res/v1/videos/search',
+    image: 'https://api.search.brave.com/res/v1/images/search',
+};
+
+const freshnessMap = {
+    day: 'pd',
+    week: 'pw',
+    month: 'pm',
+    year: 'py',
+};
+
+const toMetaData = (item) => ({
+    creator:
+        item.video?.creator ||
+        item.source ||
+        item.profile?.name ||
+        item.meta_url?.hostname ||
+        null,
+    image: item.thumbnail?.original || item.meta_url?.favicon || null,
+    thumbnail: item.thumbnail?.src || item.meta_url?.favicon || null,
+    creatorChannel: item.video?.author?.url || null,
+    duration: item.video?.duration || null,
+    views: item.video?.views || null,
+});
+
+const toItem = (type) => (item) => ({
+    type,
+    title: item.title || 'Untitled',
+    link: item.url,
+    description: item.description || (type === 'image' ? null : 'No description available'),
+    published: item.age || (type === 'image' ? null : 'Unknown'),
+    meta_data: toMetaData(item),
+});
+
+const search = async ({ q, type = 'web', page = 1, limit = 10, country, language, safesearch, freshness }) => {
+    const params = {
+        q,
+        count: limit,
+        offset: page - 1,
+        country,
+        safesearch,
+        freshness: freshnessMap[freshness] || freshness,
+    };
+    if (language) params.search_lang = language;
+
+    if (type === 'image') {
+        delete params.freshness;
+        delete params.offset;
+        // Image search only knows off and strict.
+        params.safesearch = safesearch === 'off' ? 'off' : 'strict';
+    }
+
+    const { data } = await axios.get(endpoints[type], {
+        headers: {
+            Accept: 'application/json',
+            'Accept-Encoding': 'gzip',
+            'X-Subscription-Token': process.env.BRAVE_API_KEY,
+        },
+        params,
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    const results = type === 'web' ? data.web?.results : data.results;
+    return {
+        // Brave reports the country it actually searched in.
+        country: data.query?.country || country,
+        items: (results || []).map(toItem(type)),
+    };
+};
+
+const suggest = async ({ q, count = 5 }) => {
+    const { data } = await axios.get('https://api.search.brave.com/res/v1/suggest/search', {
+        headers: {
+            Accept: 'application/json',
+            'X-Subscription-Token': process.env.BRAVE_SUGGEST_API_KEY,
+        },
+        params: { q, count },
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+    return data.results?.map((item) => item.query) || [];
+};
+
+module.exports = {
+    name: 'brave',
+    verticals: Object.keys(endpoints),
+    search,
+    suggest,
+};
@@ -0,0 +1,52 @@
+// Offline provider with deterministic results derived from the query, for
+// development and tests. SEARCH_MOCK_MODE=error or =ratelimit makes every call
+// fail the way a real upstream would, to exercise failover.
+
+const fail = () => {
+    const mode = process.env.SEARCH_MOCK_MODE;
+    if (mode !== 'error' && mode !== 'ratelimit') return;
+
+    const status = mode === 'ratelimit' ? 429 : 503;
+    const error = new Error(`Mock provider ${mode}`);
+    error.response = { status, headers: mode === 'ratelimit' ? { 'retry-after': '1' } : {} };
+    throw error;
+};
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'query';
+
+const search = async ({ q, type = 'web', page = 1, limit = 10, country = 'ALL' }) => {
+    fail();
+    const items = Array.from({ length: limit }, (unused, i) => {
+        const rank = (page - 1) * limit + i + 1;
+        const link = `https://example.com/${type}/${slug(q)}/${rank}`;
+        return {
+            type,
+            title: `${q} — result ${rank}`,
+            link,
+            description: `Mock ${type} result ${rank} for "${q}".`,
+            published: null,
+            meta_data: {
+                creator: 'example.com',
+                image: type === 'image' || type === 'video' ? `${link}.jpg` : null,
+                thumbnail: type === 'image' || type === 'video' ? `${link}-thumb.jpg` : null,
+                creatorChannel: null,
+                duration: type === 'video' ? '3:00' : null,
+                views: null,
+            },
+        };
+    });
+    return { country, items };
+};
+
+const suggest = async ({ q, count = 5 }) => {
+    fail();
+    return ['', ' meaning', ' near me', ' news', ' online', ' tutorial', ' vs'].slice(0, count).map((suffix) => `${q}${suffix}`);
+};
+
+module.exports = {
+    name: 'mock',
+    testOnly: true,
+    verticals: ['web', 'news', 'video', 'image'],
+    search,
+    suggest,
+};
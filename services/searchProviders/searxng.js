@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+// SearXNG metasearch (https://docs.searxng.org), usually self-hosted, as the
+// keyless fallback behind Brave. SEARXNG_URL is the instance's base URL; the
+// instance must allow the json format under `search.formats` in settings.yml.
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+const categories = {
+    web: 'general',
+    news: 'news',
+    video: 'videos',
+    image: 'images',
+};
+
+const safesearchLevels = {
+    off: 0,
+    moderate: 1,
+    strict: 2,
+};
+
+const baseUrl = () => process.env.SEARXNG_URL.replace(/\/+$/, '');
+
+const hostname = (link) => {
+    try {
+        return new URL(link).hostname;
+    } catch (err) {
+        return null;
+    }
+};
+
+const toItem = (type) => (item) => ({
+    type,
+    title: item.title || 'Untitled',
+    link: item.url,
+    description: item.content || (type === 'image' ? null : 'No description available'),
+    published: item.publishedDate || (type === 'image' ? null : 'Unknown'),
+    meta_data: {
+        creator: item.author || item.source || hostname(item.url),
+        image: item.img_src || item.thumbnail || null,
+        thumbnail: item.thumbnail_src || item.thumbnail || null,
+        creatorChannel: null,
+        duration: item.length || null,
+        views: null,
+    },
+});
+
+// SearXNG pages are fixed-size, so `limit` trims the page rather than sizing it.
+const search = async ({ q, type = 'web', page = 1, limit = 10, country, language, safesearch = 'moderate', freshness }) => {
+    const params = {
+        q,
+        format: 'json',
+        categories: categories[type],
+        pageno: page,
+        language: language || 'all',
+        safesearch: safesearchLevels[safesearch] ?? 1,
+    };
+    if (freshness && type !== 'image') params.time_range = freshness;
+
+    const { data } = await axios.get(`${baseUrl()}/search`, {
+        headers: { Accept: 'application/json' },
+        params,
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    return {
+        // Results are not region-specific, so the requested country is reported back.
+        country,
+        items: (data.results || []).slice(0, limit).map(toItem(type)),
+    };
+};
+
+// The autocompleter answers in OpenSearch form: [query, [suggestions...]].
+const suggest = async ({ q, count = 5 }) => {
+    const { data } = await axios.get(`${baseUrl()}/autocompleter`, {
+        headers: { Accept: 'application/json' },
+        params: { q },
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+    const suggestions = Array.isArray(data) && Array.isArray(data[1]) ? data[1] : [];
+    return suggestions.slice(0, count);
+};
+
+module.exports = {
+    name: 'searxng',
+    verticals: Object.keys(categories),
+    isConfigured: () => Boolean(process.env.SEARXNG_URL),
+    search,
+    suggest,
+};
@@ -0,0 +1,151 @@
+const brave = require('./searchProviders/brave');
+const searxng = require('./searchProviders/searxng');
+const mock = require('./searchProviders/mock');
+const { AppError } = require('../utils/errors');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+
+// A provider is `{ name, verticals, search(params), suggest(params) }`.
+// `search` resolves to `{ country, items }` where every item has the normalized
+// shape `{ type, title, link, description, published, meta_data }`; `suggest`
+// resolves to an array of query strings. Errors carry the upstream HTTP status
+// on `error.response.status`, as axios errors do. Optional: `isConfigured()`,
+// false while the provider lacks its settings so it is skipped, and `testOnly`
+// for providers that must never serve production traffic.
+const registry = new Map();
+
+// Returns false when the provider is refused.
+const registerProvider = (provider, breakerOptions) => {
+    if (provider.testOnly && process.env.NODE_ENV === 'production') {
+        logger.warn(`Search provider ${provider.name} is for development only and is not registered in production.`);
+        return false;
+    }
+    registry.set(provider.name, { provider, breaker: createCircuitBreaker(breakerOptions) });
+    return true;
+};
+
+registerProvider(brave);
+registerProvider(searxng);
+registerProvider(mock);
+
+// Providers in failover order, from SEARCH_PROVIDERS (e.g. "brave,searxng").
+// SearXNG only takes part once SEARXNG_URL is set.
+const activeProviders = () =>
+    (process.env.SEARCH_PROVIDERS || 'brave,searxng')
+        .split(',')
+        .map((name) => registry.get(name.trim()))
+        .filter((entry) => entry && (!entry.provider.isConfigured || entry.provider.isConfigured()));
+
+// Network errors, timeouts, 5xx, rate limits and auth failures (a missing or
+// revoked key) are worth trying elsewhere; other 4xx responses mean the
+// request itself was rejected.
+const FAILOVER_STATUSES = [401, 403, 429];
+
+const classify = (error) => {
+    const status = error.response?.status;
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    return {
+        status,
+        rateLimited: status === 429,
+        retryable: !status || status >= 500 || FAILOVER_STATUSES.includes(status),
+        retryAfterMs: status === 429 && retryAfter > 0 ? retryAfter * 1000 : undefined,
+    };
+};
+
+// Runs `operation` on the first provider that supports it and whose circuit is
+// closed, moving on to the next one when a call fails in a retryable way.
+const withFailover = async (operation, params, supports) => {
+    const attempts = [];
+
+    for (const { provider, breaker } of activeProviders()) {
+        if (!supports(provider)) continue;
+        if (!breaker.canRequest()) {
+            attempts.push({ provider: provider.name, skipped: 'circuit open' });
+            continue;
+        }
+
+        try {
+            const result = await provider[operation](params);
+            breaker.recordSuccess();
+            return { provider: provider.name, result };
+        } catch (error) {
+            const { status, rateLimited, retryable, retryAfterMs } = classify(error);
+            if (!retryable) {
+                breaker.recordSuccess();
+                throw new AppError(`Search provider ${provider.name} rejected the request`, {
+                    status,
+                    code: 'SEARCH_REJECTED',
+                    details: { provider: provider.name },
+                });
+            }
+
+            breaker.recordFailure({ openForMs: retryAfterMs });
+            attempts.push({ provider: provider.name, status: status || null, rateLimited });
+            logger.warn(`Search provider ${provider.name} failed (${status || error.message}), trying next provider.`);
+        }
+    }
+
+    const rateLimited = attempts.length > 0 && attempts.every((attempt) => attempt.rateLimited);
+    throw new AppError('No search provider is available', {
+        status: rateLimited ? 429 : 503,
+        code: 'SEARCH_UNAVAILABLE',
+        details: { attempts },
+    });
+};
+
+const search = (params) =>
+    withFailover('search', params, (provider) => provider.verticals.includes(params.type || 'web'));
+
+// Sections of the blended `all` vertical and how many results each gets;
+// web keeps the requested page size.
+const ALL_SECTIONS = {
+    web: null,
+    news: 5,
+    video: 5,
+    image: 10,
+};
+
+// Fans out to every vertical in parallel, or only to `verticals` when given.
+// Sections that fail are reported in `errors` instead of failing the whole
+// response; only when every section fails is an error thrown.
+const searchAll = async ({ verticals, ...params }) => {
+    const names = Object.keys(ALL_SECTIONS).filter((type) => !verticals || verticals.includes(type));
+    const outcomes = await Promise.allSettled(
+        names.map((type) => search({ ...params, type, page: 1, limit: ALL_SECTIONS[type] || params.limit }))
+    );
+
+    const sections = {};
+    const errors = {};
+    let country = params.country;
+    outcomes.forEach((outcome, i) => {
+        const type = names[i];
+        if (outcome.status === 'fulfilled') {
+            const { provider, result } = outcome.value;
+            sections[type] = { provider, items: result.items };
+            if (type === 'web') country = result.country;
+        } else {
+            const { status = 500, code = 'SEARCH_ERROR', message } = outcome.reason;
+            errors[type] = { status, code, message };
+        }
+    });
+
+    if (!Object.keys(sections).length) {
+        throw new AppError('All search sections failed', {
+            status: 503,
+            code: 'SEARCH_UNAVAILABLE',
+            details: { errors },
+        });
+    }
+    return { country, sections, errors };
+};
+
+const suggest = (params) => withFailover('suggest', params, (provider) => typeof provider.suggest === 'function');
+
+const providerStatus = () =>
+    activeProviders().map(({ provider, breaker }) => ({
+        name: provider.name,
+        verticals: provider.verticals,
+        ...breaker.status(),
+    }));
+
+module.exports = { registerProvider, search, searchAll, suggest, providerStatus };
@@ -0,0 +1,106 @@
+const Session = require('../models/session');
+const {
+    verifyAccessToken,
+    generateRefreshToken,
+    hashToken,
+    refreshTokenExpiry,
+} = require('../utils/tokenHelper');
+
+// Avoid a database write on every request; last-seen only needs minute precision.
+// Open WebSockets only re-check their session through touchSession, so a session
+// revoked on another instance can keep its sockets for up to this long (and at
+// most until the access token expires, when the socket is closed anyway).
+const LAST_SEEN_INTERVAL = 60 * 1000;
+// How many rotated refresh tokens are remembered per session for reuse detection.
+const USED_TOKEN_HISTORY = 20;
+
+const PRIVATE_FIELDS = '-refreshTokenHash -usedRefreshTokenHashes';
+
+const createSession = async (username, { deviceName, ip, userAgent } = {}) => {
+    const refreshToken = generateRefreshToken();
+    const session = new Session({
+        username,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+        deviceName,
+        ip,
+        userAgent,
+    });
+    await session.save();
+    return { session, refreshToken };
+};
+
+// Resolves an access token to its live session, or null if the token is
+// invalid, expired or its session has been revoked.
+const verifySession = async (accessToken) => {
+    let payload;
+    try {
+        payload = verifyAccessToken(accessToken);
+    } catch (err) {
+        return null;
+    }
+
+    const session = await Session.findById(payload.sid);
+    if (!session || session.username !== payload.username) return null;
+    return session;
+};
+
+// Returns { session, refreshToken } on success, { session, reused: true } when an
+// already-rotated token is presented (the whole family is revoked), or null.
+const rotateRefreshToken = async (refreshToken) => {
+    const hash = hashToken(refreshToken);
+    const nextToken = generateRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: hash, expiresAt: { $gt: new Date() } },
+        {
+            $set: { refreshTokenHash: hashToken(nextToken), expiresAt: refreshTokenExpiry() },
+            $push: { usedRefreshTokenHashes: { $each: [hash], $slice: -USED_TOKEN_HISTORY } },
+        },
+        { new: true }
+    );
+    if (session) return { session, refreshToken: nextToken };
+
+    const compromised = await Session.findOneAndDelete({ usedRefreshTokenHashes: hash });
+    if (compromised) return { session: compromised, reused: true };
+
+    return null;
+};
+
+// Returns false when the session no longer exists, e.g. it was revoked elsewhere.
+const touchSession = async (session, ip) => {
+    const now = Date.now();
+    if (now - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL && (!ip || session.ip === ip)) return true;
+
+    session.lastSeenAt = now;
+    if (ip) session.ip = ip;
+    const { matchedCount } = await Session.updateOne(
+        { _id: session._id },
+        { lastSeenAt: session.lastSeenAt, ip: session.ip }
+    );
+    return matchedCount > 0;
+};
+
+const listSessions = (username) =>
+    Session.find({ username }).select(PRIVATE_FIELDS).sort({ lastSeenAt: -1 });
+
+const revokeSession = (username, sessionId) => Session.findOneAndDelete({ _id: sessionId, username });
+
+const revokeAllSessions = async (username, exceptSessionId = null) => {
+    const filter = { username };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id');
+    await Session.deleteMany(filter);
+    return sessions.map((session) => session._id.toString());
+};
+
+module.exports = {
+    createSession,
+    verifySession,
+    rotateRefreshToken,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
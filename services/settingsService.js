@@ -0,0 +1,28 @@
+const User = require('../models/user');
+
+const getSettings = async (username) => {
+    const user = await User.findOne({ username }).select('settings');
+    return user ? user.settings : null;
+};
+
+const getSearchPreferences = async (username) => {
+    const settings = await getSettings(username);
+    return settings ? settings.search : null;
+};
+
+// Applies a partial update; only the keys present in `changes` are touched.
+const updateSettings = async (username, changes) => {
+    const update = {};
+    for (const [section, values] of Object.entries(changes)) {
+        for (const [key, value] of Object.entries(values)) update[`settings.${section}.${key}`] = value;
+    }
+
+    const user = await User.findOneAndUpdate(
+        { username },
+        { $set: update },
+        { new: true, runValidators: true }
+    ).select('settings');
+    return user ? user.settings : null;
+};
+
+module.exports = { getSettings, getSearchPreferences, updateSettings };
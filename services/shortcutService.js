@@ -0,0 +1,13 @@
+const Shortcut = require('../models/shortcut');
+
+const addShortcut = async (username, shortcutData) => {
+    const shortcut = new Shortcut({ ...shortcutData, username });
+    await shortcut.save();
+    return shortcut;
+};
+
+const getShortcuts = (username) => Shortcut.findOwned(username);
+
+const deleteShortcut = (username, shortcutId) => Shortcut.deleteOwned(username, shortcutId);
+
+module.exports = { addShortcut, getShortcuts, deleteShortcut };
@@ -0,0 +1,81 @@
+const Tab = require('../models/tab');
+const TabGroup = require('../models/tabGroup');
+const Shortcut = require('../models/shortcut');
+const History = require('../models/history');
+const Bookmark = require('../models/bookmark');
+const BookmarkFolder = require('../models/bookmarkFolder');
+const Note = require('../models/note');
+const { TOMBSTONE_RETENTION_SECONDS } = require('../models/plugins/syncable');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+const collections = {
+    tabs: Tab,
+    tabGroups: TabGroup,
+    shortcuts: Shortcut,
+    history: History,
+    bookmarks: Bookmark,
+    bookmarkFolders: BookmarkFolder,
+    notes: Note,
+};
+
+const PAGE_SIZE = 500;
+// Writes that started just before a sync may commit with an older updatedAt than
+// documents already returned; staying this far behind "now" keeps them in the
+// next window instead of skipping them.
+const SETTLE_MS = 1000;
+
+// Returns documents (tombstones included) changed since `cursor`, oldest first.
+// A missing or expired cursor yields a `reset`: a full page of live documents
+// after which the client should drop anything it did not receive. Documents
+// written before delta sync only match once migrations/backfillFields.js has
+// given them an `updatedAt`.
+const syncCollection = async (username, name, cursor) => {
+    const Model = collections[name];
+    const until = new Date(Date.now() - SETTLE_MS);
+    const filter = { username, updatedAt: { $lte: until } };
+
+    let reset = !cursor;
+    if (cursor) {
+        const { time: updatedAt, id } = decodeCursor(cursor);
+        if (Date.now() - updatedAt.getTime() > TOMBSTONE_RETENTION_SECONDS * 1000) {
+            reset = true;
+        } else {
+            filter.$or = [
+                { updatedAt: { $gt: updatedAt } },
+                { updatedAt, _id: { $gt: id } },
+            ];
+        }
+    }
+    if (reset) filter.deletedAt = null;
+
+    const changes = await Model.find(filter)
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(PAGE_SIZE + 1);
+
+    const hasMore = changes.length > PAGE_SIZE;
+    if (hasMore) changes.pop();
+
+    const last = changes[changes.length - 1];
+    return {
+        changes,
+        cursor: last ? encodeCursor(last.updatedAt, last._id) : cursor || null,
+        hasMore,
+        reset,
+    };
+};
+
+// `cursors` maps collection names to the client's last cursor (null for a first
+// sync). With no cursors at all, every collection is synced from scratch.
+const sync = async (username, cursors = {}) => {
+    const names = Object.keys(cursors).length ? Object.keys(cursors) : Object.keys(collections);
+
+    const results = await Promise.all(
+        names.map((name) => syncCollection(username, name, cursors[name] || null))
+    );
+
+    return {
+        collections: Object.fromEntries(names.map((name, i) => [name, results[i]])),
+    };
+};
+
+module.exports = { collections, sync };
@@ -0,0 +1,272 @@
+const Tab = require('../models/tab');
+const TabGroup = require('../models/tabGroup');
+const TabSnapshot = require('../models/tabSnapshot');
+const { notFound } = require('../utils/errors');
+
+const DEFAULT_RECENTLY_CLOSED = 25;
+const DEFAULT_WINDOW = 'default';
+// Before tab groups, every tab carried a `group` name and "default" meant ungrouped.
+const LEGACY_DEFAULT_GROUP = 'default';
+
+const assertGroup = async (username, groupId) => {
+    if (!groupId) return null;
+    const group = await TabGroup.findOneOwned(username, groupId);
+    if (!group) throw notFound('Tab group not found');
+    return group;
+};
+
+const nextTabPosition = async (username, windowId) => {
+    const [last] = await Tab.findOwned(username, { status: 'active', windowId }).sort({ position: -1 }).limit(1);
+    return last ? last.position + 1 : 0;
+};
+
+// Opens `count` slots at `position` in the window by shifting the tabs at or after it.
+const placeTabsAt = async (username, windowId, position, count = 1) => {
+    if (position === undefined) return nextTabPosition(username, windowId);
+
+    await Tab.updateAllOwned(
+        username,
+        { status: 'active', windowId, position: { $gte: position } },
+        { $inc: { position: count } }
+    );
+    return position;
+};
+
+const createTab = async (username, tabData) => {
+    const { groupId = null, position, ...fields } = tabData;
+    const group = await assertGroup(username, groupId);
+    // A grouped tab lives in its group's window.
+    const windowId = group ? group.windowId : fields.windowId || DEFAULT_WINDOW;
+
+    const tab = new Tab({
+        ...fields,
+        username,
+        groupId,
+        windowId,
+        position: await placeTabsAt(username, windowId, position),
+        status: 'active',
+    });
+    await tab.save();
+    return tab;
+};
+
+const closeTab = (username, tabId) =>
+    Tab.updateOwned(username, tabId, { status: 'closed', closedAt: new Date() });
+
+// `groupId` null takes the tab out of its group.
+const groupTab = async (username, tabId, groupId = null) => {
+    const group = await assertGroup(username, groupId);
+    const changes = { groupId };
+    if (group) changes.windowId = group.windowId;
+    return Tab.updateOwned(username, tabId, changes);
+};
+
+// Moves several tabs at once, keeping the order of `tabIds`. Tabs land next to
+// each other at `position` (or at the end) of the target window; `groupId`, when
+// given, regroups them as well (null ungroups). Tabs that change window without
+// a new group leave their old one, like dragging a tab out in the browser.
+const moveTabs = async (username, tabIds, { groupId, windowId, position } = {}) => {
+    const tabs = await Tab.findOwned(username, { _id: { $in: tabIds }, status: 'active' });
+    if (tabs.length !== tabIds.length) throw notFound('Tab not found');
+
+    const group = await assertGroup(username, groupId);
+    const targetWindow = group ? group.windowId : windowId || tabs[0].windowId;
+    const start = await placeTabsAt(username, targetWindow, position, tabIds.length);
+
+    const windows = new Map(tabs.map((tab) => [tab._id.toString(), tab.windowId]));
+    await Tab.bulkWrite(tabIds.map((tabId, i) => {
+        const changes = { windowId: targetWindow, position: start + i };
+        if (groupId !== undefined) changes.groupId = groupId;
+        else if (windows.get(tabId.toString()) !== targetWindow) changes.groupId = null;
+
+        return {
+            updateOne: {
+                filter: { _id: tabId, username, deletedAt: null },
+                update: { $set: changes },
+            },
+        };
+    }));
+    return Tab.findOwned(username, { _id: { $in: tabIds } }).sort({ position: 1 });
+};
+
+// Deprecated `newGroup` form of groupTab: joins the group with that name in the
+// tab's window, creating it if needed.
+const groupTabByName = async (username, tabId, name) => {
+    const tab = await Tab.findOneOwned(username, tabId);
+    if (!tab) return null;
+    if (name === LEGACY_DEFAULT_GROUP) return groupTab(username, tabId, null);
+
+    const group = await findOrCreateGroup(username, tab.windowId, name);
+    return groupTab(username, tabId, group._id);
+};
+
+const getTabs = (username) => Tab.findOwned(username, { status: 'active' }).sort({ windowId: 1, position: 1 });
+
+const getRecentlyClosedTabs = (username, limit = DEFAULT_RECENTLY_CLOSED) =>
+    Tab.findOwned(username, { status: 'closed' }).sort({ closedAt: -1 }).limit(limit);
+
+const reopenTab = async (username, tabId) => {
+    const tab = await Tab.findOneOwned(username, tabId);
+    if (!tab || tab.status !== 'closed') return null;
+    return Tab.updateOwned(username, tabId, {
+        status: 'active',
+        closedAt: null,
+        position: await nextTabPosition(username, tab.windowId),
+    });
+};
+
+// --------------------------------------
+// Groups
+// --------------------------------------
+const nextGroupPosition = async (username, windowId) => {
+    const [last] = await TabGroup.findOwned(username, { windowId }).sort({ position: -1 }).limit(1);
+    return last ? last.position + 1 : 0;
+};
+
+const placeGroupAt = async (username, windowId, position) => {
+    if (position === undefined) return nextGroupPosition(username, windowId);
+
+    await TabGroup.updateAllOwned(username, { windowId, position: { $gte: position } }, { $inc: { position: 1 } });
+    return position;
+};
+
+const createGroup = async (username, { position, windowId = DEFAULT_WINDOW, ...fields }) => {
+    const group = new TabGroup({
+        ...fields,
+        username,
+        windowId,
+        position: await placeGroupAt(username, windowId, position),
+    });
+    await group.save();
+    return group;
+};
+
+// Renames, recolors, collapses or reorders a group.
+const updateGroup = async (username, groupId, { position, ...changes }) => {
+    const group = await TabGroup.findOneOwned(username, groupId);
+    if (!group) return null;
+
+    if (position !== undefined) changes.position = await placeGroupAt(username, group.windowId, position);
+    return TabGroup.updateOwned(username, groupId, changes);
+};
+
+const findOrCreateGroup = async (username, windowId, name) => {
+    const [existing] = await TabGroup.findOwned(username, { windowId, name }).limit(1);
+    return existing || createGroup(username, { name, windowId });
+};
+
+const getGroups = (username) => TabGroup.findOwned(username).sort({ windowId: 1, position: 1 });
+
+// Deletes the group and either ungroups its tabs or closes them with it.
+const deleteGroup = async (username, groupId, { closeTabs = false } = {}) => {
+    const group = await TabGroup.findOneOwned(username, groupId);
+    if (!group) return null;
+
+    const tabs = await Tab.findOwned(username, { groupId: group._id, status: 'active' }).select('_id');
+    const tabIds = tabs.map((tab) => tab._id);
+
+    if (closeTabs) {
+        await Tab.updateAllOwned(username, { _id: { $in: tabIds } }, { status: 'closed', closedAt: new Date() });
+    }
+    // Closed tabs drop the reference too, so reopening one never points at a deleted group.
+    await Tab.updateAllOwned(username, { groupId: group._id }, { groupId: null });
+    await TabGroup.deleteOwned(username, groupId);
+    return { group, tabIds };
+};
+
+// --------------------------------------
+// Snapshots
+// --------------------------------------
+const saveSnapshot = async (username, name) => {
+    const [tabs, groups] = await Promise.all([getTabs(username), getGroups(username)]);
+    const snapshot = new TabSnapshot({
+        username,
+        name,
+        tabs: tabs.map(({ title, url, groupId, windowId }) => ({ title, url, groupId, windowId })),
+        groups: groups.map(({ _id, name: groupName, color, collapsed, windowId }) => ({
+            id: _id,
+            name: groupName,
+            color,
+            collapsed,
+            windowId,
+        })),
+    });
+    await snapshot.save();
+    return snapshot;
+};
+
+const getSnapshots = (username) => TabSnapshot.findOwned(username).sort({ createdAt: -1 });
+
+// Opens the snapshot's tabs as new active tabs in freshly created groups. With
+// `replace`, the currently open tabs are closed first (they remain reachable as
+// recently closed) and the current groups are removed.
+const restoreSnapshot = async (username, snapshotId, { replace = false } = {}) => {
+    const snapshot = await TabSnapshot.findOneOwned(username, snapshotId);
+    if (!snapshot) return null;
+
+    let closedTabIds = [];
+    let deletedGroupIds = [];
+    if (replace) {
+        const [openTabs, openGroups] = await Promise.all([
+            Tab.findOwned(username, { status: 'active' }).select('_id'),
+            TabGroup.findOwned(username).select('_id'),
+        ]);
+        closedTabIds = openTabs.map((tab) => tab._id);
+        deletedGroupIds = openGroups.map((group) => group._id);
+        await Tab.updateAllOwned(username, { _id: { $in: closedTabIds } }, { status: 'closed', closedAt: new Date() });
+        await Tab.updateAllOwned(username, { groupId: { $in: deletedGroupIds } }, { groupId: null });
+        await TabGroup.deleteAllOwned(username, { _id: { $in: deletedGroupIds } });
+    }
+
+    const groups = [];
+    const groupIds = new Map();
+    for (const { id, name, color, collapsed, windowId } of snapshot.groups) {
+        const group = await createGroup(username, { name, color, collapsed, windowId });
+        groups.push(group);
+        groupIds.set(id.toString(), group._id);
+    }
+
+    const positions = new Map();
+    const documents = [];
+    for (const { title, url, groupId, windowId } of snapshot.tabs) {
+        if (!positions.has(windowId)) positions.set(windowId, await nextTabPosition(username, windowId));
+        const position = positions.get(windowId);
+        positions.set(windowId, position + 1);
+        documents.push({
+            username,
+            title,
+            url,
+            groupId: (groupId && groupIds.get(groupId.toString())) || null,
+            windowId,
+            position,
+            status: 'active',
+        });
+    }
+    const tabs = await Tab.insertMany(documents);
+
+    return { snapshot, tabs, groups, closedTabIds, deletedGroupIds };
+};
+
+const deleteSnapshot = (username, snapshotId) => TabSnapshot.deleteOwned(username, snapshotId);
+
+module.exports = {
+    DEFAULT_WINDOW,
+    LEGACY_DEFAULT_GROUP,
+    createTab,
+    closeTab,
+    groupTab,
+    groupTabByName,
+    moveTabs,
+    getTabs,
+    getRecentlyClosedTabs,
+    reopenTab,
+    createGroup,
+    findOrCreateGroup,
+    updateGroup,
+    getGroups,
+    deleteGroup,
+    saveSnapshot,
+    getSnapshots,
+    restoreSnapshot,
+    deleteSnapshot,
+};
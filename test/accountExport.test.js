@@ -0,0 +1,60 @@
+require('./helpers/setup');
+const { Writable } = require('stream');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const User = require('../models/user');
+const Note = require('../models/note');
+const Session = require('../models/session');
+const accountService = require('../services/accountService');
+const { refreshTokenExpiry } = require('../utils/tokenHelper');
+
+const collect = () => {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, done) {
+            chunks.push(chunk.toString());
+            done();
+        },
+    });
+    const records = () => chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+    return { stream, records };
+};
+
+describe('account export', () => {
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'alice', email: 'alice@example.com', totpSecret: 'secret' }]);
+        await db.seed(Session, [{ username: 'alice', refreshTokenHash: 'hash', expiresAt: refreshTokenExpiry() }]);
+        await db.seed(Note, [
+            { username: 'alice', content: 'Kept' },
+            { username: 'alice', content: 'Deleted', deletedAt: new Date() },
+            { username: 'bob', content: 'Not hers' },
+        ]);
+    });
+
+    it('streams the user\'s records without private fields or tombstones', async () => {
+        const { stream, records } = collect();
+        await accountService.exportAccount('alice', stream);
+
+        const exported = records();
+        const [user] = exported.filter((record) => record.type === 'user');
+        assert.equal(user.data.username, 'alice');
+        assert.equal(user.data.totpSecret, undefined);
+
+        const [session] = exported.filter((record) => record.type === 'session');
+        assert.equal(session.data.refreshTokenHash, undefined);
+
+        const notes = exported.filter((record) => record.type === 'note').map((record) => record.data.content);
+        assert.deepEqual(notes, ['Kept']);
+    });
+
+    it('rejects instead of waiting forever when the client goes away', async () => {
+        // Never drains, like a client that stopped reading.
+        const stream = new Writable({ highWaterMark: 1, write() {} });
+        const exporting = accountService.exportAccount('alice', stream);
+        setImmediate(() => stream.destroy());
+
+        await assert.rejects(exporting, { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+    });
+});
@@ -0,0 +1,93 @@
+require('./helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/memoryDb');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const Shortcut = require('../models/shortcut');
+const syncService = require('../services/syncService');
+const noteService = require('../services/noteService');
+const bookmarkService = require('../services/bookmarkService');
+const { backfillFields } = require('../migrations/backfillFields');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Documents as the old schemas stored them: no timestamps and no tombstone field.
+const seedLegacy = (Model, docs) =>
+    Promise.all(docs.map(async (fields) => {
+        const doc = await new Model(fields).save();
+        await Model.updateOne(
+            { _id: doc._id },
+            { $unset: { createdAt: '', updatedAt: '', deletedAt: '', version: '' } },
+            { strict: false, timestamps: false }
+        );
+        return doc;
+    }));
+
+const stored = (Model, doc) => db.all(Model).find((item) => item._id === doc._id.toString());
+
+describe('field backfill migration', () => {
+    beforeEach(() => db.reset());
+
+    it('leaves legacy documents out of sync until it has run', async () => {
+        await seedLegacy(Bookmark, [{ username: 'alice', title: 'Docs', url: 'https://example.com', timestamp: new Date(Date.now() - DAY) }]);
+
+        const { collections } = await syncService.sync('alice', { bookmarks: null });
+        assert.deepEqual(collections.bookmarks.changes, []);
+    });
+
+    it('sets updatedAt from timestamp, createdAt or the id, and deletedAt to null', async () => {
+        const visited = new Date(Date.now() - 2 * DAY);
+        // Ids only keep whole seconds.
+        const created = new Date(Math.floor((Date.now() - 3 * DAY) / 1000) * 1000);
+        const [bookmark] = await seedLegacy(Bookmark, [{ username: 'alice', title: 'Docs', url: 'https://example.com', timestamp: visited }]);
+        const [shortcut] = await seedLegacy(Shortcut, [{
+            _id: mongoose.Types.ObjectId.createFromTime(created.getTime() / 1000),
+            username: 'alice',
+            title: 'Mail',
+            url: 'https://mail.example.com',
+        }]);
+
+        const counts = await backfillFields();
+        assert.equal(counts['Bookmark.updatedAt'], 1);
+        assert.equal(counts['Shortcut.deletedAt'], 1);
+
+        assert.deepEqual(stored(Bookmark, bookmark).updatedAt, visited);
+        assert.deepEqual(stored(Shortcut, shortcut).updatedAt, created);
+        assert.deepEqual(stored(Shortcut, shortcut).createdAt, created);
+        assert.equal(stored(Bookmark, bookmark).deletedAt, null);
+        assert.ok('deletedAt' in stored(Shortcut, shortcut));
+    });
+
+    it('makes legacy documents part of a reset sync', async () => {
+        const [note] = await seedLegacy(Note, [{ username: 'alice', content: 'Old note', timestamp: new Date(Date.now() - DAY) }]);
+        await backfillFields();
+
+        const { collections } = await syncService.sync('alice', { notes: null });
+        assert.equal(collections.notes.reset, true);
+        assert.deepEqual(collections.notes.changes.map((doc) => doc._id.toString()), [note._id.toString()]);
+    });
+
+    it('gives unversioned notes and bookmarks version 1', async () => {
+        const [note] = await seedLegacy(Note, [{ username: 'alice', content: 'Old note' }]);
+        const [bookmark] = await seedLegacy(Bookmark, [{ username: 'alice', title: 'Docs', url: 'https://example.com' }]);
+
+        // The schema default reports version 1, which the stored document cannot match.
+        await assert.rejects(noteService.updateNote('alice', note._id, { content: 'Edited', version: 1 }), { code: 'CONFLICT' });
+
+        await backfillFields();
+        assert.equal(stored(Note, note).version, 1);
+
+        assert.equal((await noteService.updateNote('alice', note._id, { content: 'Edited', version: 1 })).version, 2);
+        assert.equal((await bookmarkService.updateBookmark('alice', bookmark._id, { title: 'Edited', version: 1 })).version, 2);
+    });
+
+    it('does nothing the second time', async () => {
+        await seedLegacy(Note, [{ username: 'alice', content: 'Old note' }]);
+        await backfillFields();
+
+        const counts = await backfillFields();
+        assert.ok(Object.values(counts).every((count) => count === 0));
+    });
+});
@@ -0,0 +1,69 @@
+require('./helpers/setup');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const { startApp } = require('./helpers/app');
+const User = require('../models/user');
+const Bookmark = require('../models/bookmark');
+const { parseNetscape } = require('../utils/netscapeBookmarks');
+
+const bookmarkFile = (links) => `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+${links.map(([url, title]) => `    <DT><A HREF="${url}">${title}</A>`).join('\n')}
+</DL><p>`;
+
+describe('parseNetscape', () => {
+    it('decodes out-of-range and surrogate entities to U+FFFD', () => {
+        const [bookmark] = parseNetscape(bookmarkFile([['https://example.com/?q=&#99999999;', 'A &#xD800; &#x1F600; &amp; B']]));
+        assert.equal(bookmark.url, 'https://example.com/?q=�');
+        assert.equal(bookmark.title, 'A � \u{1F600} & B');
+    });
+
+    it('rejects files that are not bookmark files', () => {
+        assert.throws(() => parseNetscape('just some text'), { code: 'INVALID_IMPORT', status: 400 });
+    });
+});
+
+describe('POST /bookmarks/import', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ '/bookmarks': require('../routes/bookmarks') });
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'alice', email: 'alice@example.com', totpSecret: 'a' }]);
+    });
+
+    const importAs = (body, type) => app.request('POST', '/bookmarks/import', { user: 'alice', body, type });
+
+    it('imports a file with invalid numeric entities', async () => {
+        const res = await importAs(bookmarkFile([['https://example.com/&#99999999;', 'Odd &#x110000;']]), 'text/html');
+        assert.equal(res.status, 200);
+        assert.equal(db.all(Bookmark).length, 1);
+    });
+
+    it('answers 400 for a file that is not a bookmark file', async () => {
+        const res = await importAs('<html><body>nothing here</body></html>', 'text/html');
+        assert.equal(res.status, 400);
+    });
+
+    it('answers 400 for malformed JSON', async () => {
+        const res = await importAs('{"bookmarks": [', 'application/json');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Malformed import file');
+    });
+
+    it('accepts JSON documents above the default body limit', async () => {
+        const bookmarks = Array.from({ length: 1500 }, (_, i) => ({
+            title: `Bookmark ${i} ${'x'.repeat(60)}`,
+            url: `https://example.com/${i}`,
+        }));
+        const res = await importAs({ bookmarks });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.bookmarks, 1500);
+    });
+});
@@ -0,0 +1,108 @@
+require('./helpers/setup');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../utils/cache');
+const { searchCacheTtl } = require('../utils/utils');
+
+// A loader whose calls are counted and which resolves only when told to.
+const deferredLoader = () => {
+    const pending = [];
+    const loader = () => new Promise((resolve, reject) => pending.push({ resolve, reject }));
+    return { loader, pending };
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createCache', () => {
+    it('shares one load between concurrent misses', async () => {
+        const cache = createCache({ backend: 'memory' });
+        const { loader, pending } = deferredLoader();
+
+        const results = Promise.all([1, 2, 3].map(() => cache.getOrLoad('key', loader, { ttl: 60 })));
+        await tick();
+        assert.equal(pending.length, 1);
+
+        pending[0].resolve('value');
+        assert.deepEqual(await results, ['value', 'value', 'value']);
+        assert.equal(cache.stats().loads, 1);
+        assert.equal(cache.stats().coalesced, 2);
+    });
+
+    it('serves a fresh entry without loading', async () => {
+        const cache = createCache({ backend: 'memory' });
+        let loads = 0;
+        const loader = async () => ++loads;
+
+        await cache.getOrLoad('key', loader, { ttl: 60 });
+        assert.equal(await cache.getOrLoad('key', loader, { ttl: 60 }), 1);
+        assert.equal(loads, 1);
+    });
+
+    it('serves a stale entry while one refresh runs', async () => {
+        const cache = createCache({ backend: 'memory' });
+        // ttl 0: stale as soon as it is written, but kept for staleTtl.
+        await cache.getOrLoad('key', async () => 'old', { ttl: 0, staleTtl: 60 });
+
+        const { loader, pending } = deferredLoader();
+        assert.equal(await cache.getOrLoad('key', loader, { ttl: 60, staleTtl: 60 }), 'old');
+        assert.equal(await cache.getOrLoad('key', loader, { ttl: 60, staleTtl: 60 }), 'old');
+        assert.equal(pending.length, 1);
+
+        pending[0].resolve('new');
+        await tick();
+        assert.equal(await cache.getOrLoad('key', loader, { ttl: 60, staleTtl: 60 }), 'new');
+        assert.equal(cache.stats().staleHits, 2);
+    });
+
+    it('keeps the stale entry when a refresh fails', async () => {
+        const cache = createCache({ backend: 'memory' });
+        await cache.getOrLoad('key', async () => 'old', { ttl: 0, staleTtl: 60 });
+
+        const failing = async () => {
+            throw new Error('upstream down');
+        };
+        assert.equal(await cache.getOrLoad('key', failing, { ttl: 0, staleTtl: 60 }), 'old');
+        await tick();
+        assert.equal(await cache.getOrLoad('key', failing, { ttl: 0, staleTtl: 60 }), 'old');
+        assert.equal(cache.stats().loadErrors, 2);
+    });
+
+    it('does not cache a failed load', async () => {
+        const cache = createCache({ backend: 'memory' });
+        await assert.rejects(cache.getOrLoad('key', async () => {
+            throw new Error('upstream down');
+        }, { ttl: 60 }));
+        assert.equal(await cache.getOrLoad('key', async () => 'value', { ttl: 60 }), 'value');
+    });
+
+    it('takes the ttl from the loaded value when given a function', async () => {
+        const cache = createCache({ backend: 'memory' });
+        const ttl = (value) => (value.partial ? 0 : 60);
+        let loads = 0;
+        const loader = async () => ({ partial: ++loads === 1 });
+
+        await cache.getOrLoad('key', loader, { ttl });
+        // The partial value was cached with no freshness and no stale window, so it is reloaded.
+        assert.deepEqual(await cache.getOrLoad('key', loader, { ttl }), { partial: false });
+        assert.equal(loads, 2);
+    });
+});
+
+describe('searchCacheTtl', () => {
+    afterEach(() => {
+        delete process.env.SEARCH_CACHE_TTL_NEWS;
+    });
+
+    it('differs per vertical, with stale results kept for as long again', () => {
+        assert.deepEqual(searchCacheTtl('news'), { ttl: 120, staleTtl: 120 });
+        assert.deepEqual(searchCacheTtl('image'), { ttl: 3600, staleTtl: 3600 });
+        assert.ok(searchCacheTtl('news').ttl < searchCacheTtl('web').ttl);
+    });
+
+    it('can be overridden per vertical and falls back to web', () => {
+        process.env.SEARCH_CACHE_TTL_NEWS = '30';
+        assert.equal(searchCacheTtl('news').ttl, 30);
+        assert.equal(searchCacheTtl('web').ttl, 600);
+        assert.equal(searchCacheTtl('unknown').ttl, 600);
+    });
+});
@@ -0,0 +1,38 @@
+const http = require('http');
+const express = require('express');
+
+// Serves the given routers the way server.js mounts them, with the
+// authenticated user taken from an `x-test-user` header instead of a session.
+const startApp = async (routers) => {
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = { username: req.get('x-test-user') };
+        next();
+    });
+    // As in server.js, bookmark imports bring their own parser.
+    const parseJson = express.json();
+    app.use((req, res, next) => (req.path === '/bookmarks/import' ? next() : parseJson(req, res, next)));
+    for (const [path, router] of Object.entries(routers)) app.use(path, router);
+
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Objects are sent as JSON; strings as-is with the given content type.
+    const request = async (method, path, { user, body, type = 'application/json' } = {}) => {
+        const headers = { 'x-test-user': user };
+        if (body !== undefined) headers['content-type'] = type;
+        const res = await fetch(base + path, {
+            method,
+            headers,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        const text = await res.text();
+        return { status: res.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const close = () => new Promise((resolve) => server.close(resolve));
+    return { request, close, server };
+};
+
+module.exports = { startApp };
@@ -0,0 +1,221 @@
+// In-memory stand-in for MongoDB so route, handler and model tests run without
+// a database server. Query execution and document saves are intercepted at the
+// Mongoose level; filters are matched with sift, which follows MongoDB query
+// semantics. Only the operations the code under test uses are supported, and
+// anything else fails loudly instead of silently passing.
+const mongoose = require('mongoose');
+const sift = require('sift').default;
+
+mongoose.set('autoIndex', false);
+mongoose.set('autoCreate', false);
+mongoose.set('bufferCommands', false);
+
+const collections = new Map();
+
+const collection = (Model) => {
+    const name = Model.collection.collectionName;
+    if (!collections.has(name)) collections.set(name, []);
+    return collections.get(name);
+};
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId || (value && value._bsontype === 'ObjectId');
+
+// Stored copies hold ids as hex strings so filters built from request params
+// and from documents compare equal.
+const normalize = (value) => {
+    if (isObjectId(value)) return value.toString();
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof RegExp) return value;
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value.toObject === 'function') return normalize(value.toObject({ depopulate: true }));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+        return target[key];
+    }, doc);
+    if (value === undefined) delete parent[last];
+    else parent[last] = value;
+};
+
+const applyUpdate = (doc, update) => {
+    for (const [operator, fields] of Object.entries(normalize(update))) {
+        if (!operator.startsWith('$')) {
+            setPath(doc, operator, fields);
+            continue;
+        }
+        for (const [path, value] of Object.entries(fields)) {
+            const current = getPath(doc, path);
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, value);
+                    break;
+                case '$unset':
+                    setPath(doc, path, undefined);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                case '$min':
+                    if (current === undefined || value < current) setPath(doc, path, value);
+                    break;
+                case '$max':
+                    if (current === undefined || value > current) setPath(doc, path, value);
+                    break;
+                case '$push': {
+                    const items = value && value.$each ? value.$each : [value];
+                    let next = [...(current || []), ...items];
+                    if (value && value.$slice !== undefined) next = next.slice(value.$slice);
+                    setPath(doc, path, next);
+                    break;
+                }
+                default:
+                    throw new Error(`memoryDb does not support the ${operator} update operator`);
+            }
+        }
+    }
+    return doc;
+};
+
+const compare = (sort) => (a, b) => {
+    for (const [path, direction] of Object.entries(sort || {})) {
+        const x = getPath(a, path);
+        const y = getPath(b, path);
+        if (x < y) return -direction;
+        if (x > y) return direction;
+    }
+    return 0;
+};
+
+const select = (docs, options) => {
+    const sorted = options.sort ? [...docs].sort(compare(options.sort)) : docs;
+    const start = options.skip || 0;
+    return sorted.slice(start, options.limit ? start + options.limit : undefined);
+};
+
+// Applies a `select` projection: either the listed fields (and _id) or everything but them.
+const project = (doc, fields) => {
+    const entries = Object.entries(fields || {})
+        .filter(([path]) => !path.startsWith('+'))
+        .map(([path, value]) => [path.replace(/^-/, ''), value]);
+    if (!entries.length) return doc;
+    const excluding = entries.some(([, value]) => !value);
+    const projected = excluding ? { ...doc } : { _id: doc._id };
+    for (const [path] of entries) {
+        if (excluding) delete projected[path];
+        else if (path in doc) projected[path] = doc[path];
+    }
+    return projected;
+};
+
+// Seeds an upserted document from the equality conditions of its filter, as MongoDB does.
+const upsertBase = (filter) =>
+    Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+        !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date)));
+
+mongoose.Query.prototype.exec = async function exec() {
+    const Model = this.model;
+    const docs = collection(Model);
+    const filter = normalize(this.cast(Model));
+    const options = this.getOptions();
+    const lean = Boolean(this._mongooseOptions.lean);
+    const matches = docs.filter(sift(filter));
+    const output = (doc) => {
+        if (!doc) return null;
+        const projected = project(normalize(doc), this._fields);
+        return lean ? projected : Model.hydrate(projected);
+    };
+
+    switch (this.op) {
+        case 'find':
+            return select(matches, options).map(output);
+        case 'findOne':
+            return output(select(matches, options)[0]);
+        case 'countDocuments':
+            return matches.length;
+        case 'distinct':
+            return [...new Set(matches.map((doc) => getPath(doc, this._distinct)))];
+        case 'findOneAndUpdate': {
+            const [doc] = select(matches, options);
+            if (!doc) {
+                if (!options.upsert) return null;
+                const created = normalize(new Model(applyUpdate(upsertBase(filter), this.getUpdate())));
+                docs.push(created);
+                return options.new ? output(created) : null;
+            }
+            const before = normalize(doc);
+            applyUpdate(doc, this.getUpdate());
+            return output(options.new ? doc : before);
+        }
+        case 'updateOne':
+        case 'updateMany': {
+            const targets = this.op === 'updateOne' ? matches.slice(0, 1) : matches;
+            targets.forEach((doc) => applyUpdate(doc, this.getUpdate()));
+            return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+        }
+        case 'findOneAndDelete':
+        case 'deleteOne':
+        case 'deleteMany': {
+            const targets = this.op === 'deleteMany' ? matches : matches.slice(0, 1);
+            targets.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+            if (this.op === 'findOneAndDelete') return output(targets[0]);
+            return { acknowledged: true, deletedCount: targets.length };
+        }
+        default:
+            throw new Error(`memoryDb does not support the ${this.op} query`);
+    }
+};
+
+// Cursors iterate the results `exec` returns; `close` is there for callers that stop early.
+mongoose.Query.prototype.cursor = function cursor() {
+    const query = this;
+    return {
+        async *[Symbol.asyncIterator]() {
+            yield* await query.exec();
+        },
+        close: async () => {},
+    };
+};
+
+mongoose.Model.prototype.save = async function save() {
+    await this.validate();
+    const now = new Date();
+    const { timestamps } = this.schema.options;
+    if (timestamps) {
+        const createdAt = timestamps.createdAt === false ? null : 'createdAt';
+        const updatedAt = timestamps.updatedAt === false ? null : 'updatedAt';
+        if (createdAt && this.isNew) this.set(createdAt, now);
+        if (updatedAt) this.set(updatedAt, now);
+    }
+
+    const docs = collection(this.constructor);
+    const stored = normalize(this);
+    const index = docs.findIndex((doc) => doc._id === stored._id);
+    if (index === -1) docs.push(stored);
+    else docs[index] = stored;
+    this.isNew = false;
+    return this;
+};
+
+mongoose.Model.insertMany = async function insertMany(documents) {
+    return Promise.all(documents.map((document) => new this(document).save()));
+};
+
+// Inserts documents directly, returning them as saved.
+const seed = async (Model, documents) => Promise.all(documents.map((document) => new Model(document).save()));
+
+// The stored copies of a collection, for asserting on what was written.
+const all = (Model) => collection(Model).map(normalize);
+
+const reset = () => collections.clear();
+
+module.exports = { seed, all, reset };
@@ -0,0 +1,8 @@
+// Loaded first by every test file: configuration the app requires at load time
+// and a quiet logger (set TEST_LOGS=1 to see the logs).
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+require('./memoryDb');
+const logger = require('../../utils/logger');
+
+logger.silent = !process.env.TEST_LOGS;
@@ -0,0 +1,121 @@
+require('./helpers/setup');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const { startApp } = require('./helpers/app');
+const User = require('../models/user');
+const History = require('../models/history');
+const { backfillFields } = require('../migrations/backfillFields');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('DELETE /history', () => {
+    let app;
+    let recent;
+    let old;
+
+    before(async () => {
+        app = await startApp({ '/history': require('../routes/history') });
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'alice', email: 'alice@example.com', totpSecret: 'a' }]);
+        [recent, old] = await db.seed(History, [
+            { username: 'alice', title: 'Docs', url: 'https://docs.example.com/a', domain: 'docs.example.com', timestamp: new Date(Date.now() - HOUR / 2) },
+            { username: 'alice', title: 'News', url: 'https://news.test/b', domain: 'news.test', timestamp: new Date(Date.now() - 5 * HOUR) },
+        ]);
+    });
+
+    const remaining = async () => (await History.findOwned('alice')).map((entry) => entry._id.toString()).sort();
+    const del = (path, body) => app.request('DELETE', path, { user: 'alice', body });
+
+    it('reads range from the query string', async () => {
+        const res = await del('/history?range=hour');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.deletedCount, 1);
+        assert.deepEqual(await remaining(), [old._id.toString()]);
+    });
+
+    it('reads domain from the query string', async () => {
+        const res = await del('/history?domain=example.com');
+        assert.equal(res.body.deletedCount, 1);
+        assert.deepEqual(await remaining(), [old._id.toString()]);
+    });
+
+    it('reads comma-separated ids from the query string', async () => {
+        const res = await del(`/history?ids=${recent._id},${old._id}`);
+        assert.equal(res.body.deletedCount, 2);
+    });
+
+    it('still accepts filters in the body', async () => {
+        const res = await del('/history', { domain: 'news.test' });
+        assert.equal(res.body.deletedCount, 1);
+        assert.deepEqual(await remaining(), [recent._id.toString()]);
+    });
+
+    it('refuses an unfiltered delete without all=true', async () => {
+        const res = await del('/history');
+        assert.equal(res.status, 400);
+        assert.equal((await remaining()).length, 2);
+    });
+
+    it('refuses all=true combined with filters', async () => {
+        const res = await del('/history?all=true&range=hour');
+        assert.equal(res.status, 400);
+        assert.equal((await remaining()).length, 2);
+    });
+
+    it('deletes everything with all=true', async () => {
+        const res = await del('/history', { all: true });
+        assert.equal(res.body.deletedCount, 2);
+        assert.deepEqual(await remaining(), []);
+    });
+});
+
+describe('DELETE /history on entries from before domains were stored', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ '/history': require('../routes/history') });
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'alice', email: 'alice@example.com', totpSecret: 'a' }]);
+        const entries = await db.seed(History, [
+            { username: 'alice', title: 'Docs', url: 'https://www.Example.com/docs', timestamp: new Date('2026-03-04T10:00:00Z') },
+            { username: 'alice', title: 'Blog', url: 'https://blog.example.com/post', timestamp: new Date('2026-03-05T10:00:00Z') },
+            { username: 'alice', title: 'News', url: 'https://news.test/b', timestamp: new Date('2026-03-05T11:00:00Z') },
+        ]);
+        await History.updateMany(
+            { _id: { $in: entries.map((entry) => entry._id) } },
+            { $unset: { domain: '', day: '' } },
+            { strict: false, timestamps: false }
+        );
+    });
+
+    const remaining = async () => (await History.findOwned('alice')).map((entry) => entry.title).sort();
+
+    it('backfills domain and day from the url and visit time', async () => {
+        await backfillFields();
+
+        const byTitle = Object.fromEntries(db.all(History).map((entry) => [entry.title, entry]));
+        assert.equal(byTitle.Docs.domain, 'example.com');
+        assert.equal(byTitle.Docs.day, '2026-03-04');
+        assert.equal(byTitle.Blog.domain, 'blog.example.com');
+    });
+
+    it('deletes them by domain once backfilled', async () => {
+        assert.equal((await app.request('DELETE', '/history?domain=example.com', { user: 'alice' })).body.deletedCount, 0);
+
+        await backfillFields();
+        const res = await app.request('DELETE', '/history?domain=example.com', { user: 'alice' });
+        assert.equal(res.body.deletedCount, 2);
+        assert.deepEqual(await remaining(), ['News']);
+    });
+});
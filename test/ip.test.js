@@ -0,0 +1,107 @@
+require('./helpers/setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../utils/logger');
+
+const env = { ...process.env };
+
+// Fresh copies, so TRUSTED_PROXIES and GEOIP_DB_PATH are read again.
+const load = (module) => {
+    delete require.cache[require.resolve(module)];
+    return require(module);
+};
+
+const request = (remoteAddress, forwarded) => ({
+    socket: { remoteAddress },
+    headers: forwarded ? { 'x-forwarded-for': forwarded } : {},
+});
+
+describe('getRequestIP', () => {
+    beforeEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    after(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it('uses the connecting address without a forwarded header', () => {
+        const { getRequestIP } = load('../utils/ip');
+        assert.equal(getRequestIP(request('::ffff:203.0.113.7')), '203.0.113.7');
+    });
+
+    it('believes x-forwarded-for from a loopback proxy by default', () => {
+        const { getRequestIP } = load('../utils/ip');
+        assert.equal(getRequestIP(request('127.0.0.1', '198.51.100.4')), '198.51.100.4');
+    });
+
+    it('ignores x-forwarded-for from an untrusted peer, warning once', () => {
+        const warn = mock.method(logger, 'warn', () => {});
+        const { getRequestIP } = load('../utils/ip');
+
+        assert.equal(getRequestIP(request('203.0.113.7', '198.51.100.4')), '203.0.113.7');
+        assert.equal(getRequestIP(request('203.0.113.8', '198.51.100.5')), '203.0.113.8');
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /TRUSTED_PROXIES/);
+    });
+
+    it('reads the chain right to left, skipping trusted proxies', () => {
+        process.env.TRUSTED_PROXIES = '10.0.0.0/8, fd00::/8';
+        const { getRequestIP } = load('../utils/ip');
+
+        // The client-supplied left-most hop is not believed past an untrusted one.
+        assert.equal(getRequestIP(request('10.0.0.2', '1.2.3.4, 198.51.100.4, 10.0.0.9')), '198.51.100.4');
+        assert.equal(getRequestIP(request('fd00::1', '198.51.100.4')), '198.51.100.4');
+        // Loopback is no longer trusted once TRUSTED_PROXIES is set.
+        assert.equal(getRequestIP(request('127.0.0.1', '198.51.100.4')), '127.0.0.1');
+    });
+
+    it('falls back to the first hop when every hop is a trusted proxy', () => {
+        process.env.TRUSTED_PROXIES = '10.0.0.0/8';
+        const { getRequestIP } = load('../utils/ip');
+        assert.equal(getRequestIP(request('10.0.0.2', '10.0.0.5, 10.0.0.9')), '10.0.0.5');
+    });
+});
+
+describe('lookupCountry', () => {
+    let dir;
+    let lookupCountry;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+        const file = path.join(dir, 'countries.csv');
+        fs.writeFileSync(file, [
+            'start,end,country',
+            '1.0.0.0,1.0.0.255,AU',
+            '"8.8.8.0","8.8.8.255","us"',
+            '9.9.9.0,9.9.9.255,ZZ',
+            '2001:200::,2001:200:ffff:ffff:ffff:ffff:ffff:ffff,JP',
+        ].join('\n'));
+        process.env.GEOIP_DB_PATH = file;
+        ({ lookupCountry } = load('../utils/geoip'));
+    });
+
+    after(() => {
+        process.env = { ...env };
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('finds IPv4 and IPv6 ranges', async () => {
+        assert.equal(await lookupCountry('1.0.0.17'), 'AU');
+        assert.equal(await lookupCountry('8.8.8.8'), 'US');
+        assert.equal(await lookupCountry('2001:200::1'), 'JP');
+    });
+
+    it('returns null for unknown, private and malformed addresses', async () => {
+        assert.equal(await lookupCountry('1.0.1.0'), null);
+        assert.equal(await lookupCountry('9.9.9.9'), null);
+        assert.equal(await lookupCountry('192.168.1.10'), null);
+        assert.equal(await lookupCountry('::1'), null);
+        assert.equal(await lookupCountry('not-an-ip'), null);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown } = require('../utils/markdown');
+
+// No tag in the output may come from the source.
+const assertNoTag = (html, tag) => assert.doesNotMatch(html, new RegExp(`<${tag}[\\s>/]`, 'i'));
+
+describe('renderMarkdown sanitizing', () => {
+    it('shows script tags as text', () => {
+        const html = renderMarkdown('<script>alert(1)</script>');
+        assertNoTag(html, 'script');
+        assert.equal(html, '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('escapes script tags inside code, quotes, lists and headings', () => {
+        const html = renderMarkdown([
+            '# <script>alert(1)</script>',
+            '> <script>alert(2)</script>',
+            '- <script>alert(3)</script>',
+            '`<script>alert(4)</script>`',
+            '```',
+            '<script>alert(5)</script>',
+            '```',
+        ].join('\n'));
+        assertNoTag(html, 'script');
+    });
+
+    it('passes no raw HTML through', () => {
+        const html = renderMarkdown('<img src=x onerror="alert(1)"> <iframe src="https://evil.example"></iframe> <b>bold</b>');
+        for (const tag of ['img', 'iframe', 'b']) assertNoTag(html, tag);
+        assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+    });
+
+    it('drops javascript:, data: and other unsafe link targets', () => {
+        for (const href of ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)', '//evil.example']) {
+            const html = renderMarkdown(`[click](${href})`);
+            assertNoTag(html, 'a');
+            assert.doesNotMatch(html, /href=/);
+        }
+    });
+
+    it('keeps http(s) and mailto links, marked as untrusted', () => {
+        assert.equal(
+            renderMarkdown('[docs](https://example.com/docs)'),
+            '<p><a href="https://example.com/docs" rel="noopener noreferrer nofollow">docs</a></p>'
+        );
+        assert.match(renderMarkdown('[mail](mailto:me@example.com)'), /<a href="mailto:me@example.com"/);
+    });
+
+    it('cannot break out of the href attribute', () => {
+        const html = renderMarkdown('[x](https://example.com/"onmouseover="alert(1))');
+        assert.doesNotMatch(html, /"\s*onmouseover=/);
+        assert.doesNotMatch(html, /\sonmouseover=/);
+    });
+
+    it('never formats inside a link target', () => {
+        assert.equal(
+            renderMarkdown('[a](https://example.com/*b*) and *c*'),
+            '<p><a href="https://example.com/*b*" rel="noopener noreferrer nofollow">a</a> and <em>c</em></p>'
+        );
+    });
+
+    it('adds no event handler attributes from the source', () => {
+        const html = renderMarkdown('**<span onclick="alert(1)">hi</span>** [a onclick=alert(1)](https://example.com)');
+        assert.doesNotMatch(html, /<[^>]*\son\w+=/i);
+    });
+});
@@ -0,0 +1,73 @@
+require('./helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const Shortcut = require('../models/shortcut');
+
+const fixtures = {
+    Bookmark: { Model: Bookmark, fields: { title: 'Docs', url: 'https://example.com/docs' }, change: { title: 'Changed' } },
+    Note: { Model: Note, fields: { content: 'Meeting notes' }, change: { content: 'Changed' } },
+    Shortcut: { Model: Shortcut, fields: { title: 'Mail', url: 'https://mail.example.com' }, change: { title: 'Changed' } },
+};
+
+for (const [name, { Model, fields, change }] of Object.entries(fixtures)) {
+    describe(`ownership plugin: ${name}`, () => {
+        let alices;
+        let bobs;
+
+        beforeEach(async () => {
+            db.reset();
+            [alices, bobs] = await db.seed(Model, [
+                { ...fields, username: 'alice' },
+                { ...fields, username: 'bob' },
+            ]);
+        });
+
+        it('findOwned only returns the owner\'s documents', async () => {
+            const docs = await Model.findOwned('bob');
+            assert.deepEqual(docs.map((doc) => doc._id.toString()), [bobs._id.toString()]);
+        });
+
+        it('findOwned cannot be widened to another user by the filter', async () => {
+            const docs = await Model.findOwned('bob', { username: 'alice' });
+            assert.deepEqual(docs.map((doc) => doc.username), ['bob']);
+        });
+
+        it('findOneOwned treats another user\'s id as missing', async () => {
+            assert.equal(await Model.findOneOwned('bob', alices._id), null);
+            assert.equal((await Model.findOneOwned('alice', alices._id)).username, 'alice');
+        });
+
+        it('updateOwned does not touch another user\'s document', async () => {
+            assert.equal(await Model.updateOwned('bob', alices._id, change), null);
+
+            const [stored] = db.all(Model).filter((doc) => doc._id === alices._id.toString());
+            for (const [key, value] of Object.entries(fields)) assert.equal(stored[key], value);
+        });
+
+        it('updateOwned cannot reassign a document to another user', async () => {
+            const updated = await Model.updateOwned('alice', alices._id, { ...change, username: 'bob' });
+            assert.equal(updated.username, 'alice');
+        });
+
+        it('deleteOwned does not delete another user\'s document', async () => {
+            assert.equal(await Model.deleteOwned('bob', alices._id), null);
+            assert.ok(await Model.findOneOwned('alice', alices._id));
+        });
+
+        it('deleteOwned deletes the owner\'s document', async () => {
+            assert.ok(await Model.deleteOwned('alice', alices._id));
+            assert.equal(await Model.findOneOwned('alice', alices._id), null);
+        });
+
+        it('deleteAllOwned only deletes the owner\'s documents', async () => {
+            const { deletedCount } = await Model.deleteAllOwned('bob', { _id: { $in: [alices._id, bobs._id] } });
+
+            assert.equal(deletedCount, 1);
+            assert.ok(await Model.findOneOwned('alice', alices._id));
+            assert.equal(await Model.findOneOwned('bob', bobs._id), null);
+        });
+    });
+}
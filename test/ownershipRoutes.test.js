@@ -0,0 +1,108 @@
+require('./helpers/setup');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const { startApp } = require('./helpers/app');
+const User = require('../models/user');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const Shortcut = require('../models/shortcut');
+
+describe('REST routes reject another user\'s ids', () => {
+    let app;
+    let bookmark;
+    let note;
+    let shortcut;
+
+    before(async () => {
+        app = await startApp({
+            '/bookmarks': require('../routes/bookmarks'),
+            '/notes': require('../routes/notes'),
+            '/shortcuts': require('../routes/shortcuts'),
+        });
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [
+            { username: 'alice', email: 'alice@example.com', totpSecret: 'a' },
+            { username: 'bob', email: 'bob@example.com', totpSecret: 'b' },
+        ]);
+        [bookmark] = await db.seed(Bookmark, [{ username: 'alice', title: 'Docs', url: 'https://example.com/docs' }]);
+        [note] = await db.seed(Note, [{ username: 'alice', content: 'Private' }]);
+        [shortcut] = await db.seed(Shortcut, [{ username: 'alice', title: 'Mail', url: 'https://mail.example.com' }]);
+    });
+
+    const asBob = (method, path, body) => app.request(method, path, { user: 'bob', body });
+
+    describe('bookmarks', () => {
+        it('are not listed', async () => {
+            const res = await asBob('GET', '/bookmarks');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.bookmarks, []);
+        });
+
+        it('cannot be updated', async () => {
+            const res = await asBob('PUT', `/bookmarks/${bookmark._id}`, { title: 'Hijacked' });
+            assert.equal(res.status, 404);
+            assert.equal((await Bookmark.findOneOwned('alice', bookmark._id)).title, 'Docs');
+        });
+
+        it('cannot be moved', async () => {
+            const res = await asBob('POST', `/bookmarks/${bookmark._id}/move`, { folderId: null });
+            assert.equal(res.status, 404);
+        });
+
+        it('cannot be deleted', async () => {
+            const res = await asBob('DELETE', `/bookmarks/${bookmark._id}`);
+            assert.equal(res.status, 404);
+            assert.ok(await Bookmark.findOneOwned('alice', bookmark._id));
+        });
+    });
+
+    describe('notes', () => {
+        it('are not listed', async () => {
+            const res = await asBob('GET', '/notes');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.notes, []);
+        });
+
+        it('cannot be read', async () => {
+            assert.equal((await asBob('GET', `/notes/${note._id}/preview`)).status, 404);
+            assert.equal((await asBob('GET', `/notes/${note._id}/revisions`)).status, 404);
+        });
+
+        it('cannot be updated', async () => {
+            const res = await asBob('PUT', `/notes/${note._id}`, { content: 'Hijacked' });
+            assert.equal(res.status, 404);
+            assert.equal((await Note.findOneOwned('alice', note._id)).content, 'Private');
+        });
+
+        it('cannot be deleted', async () => {
+            const res = await asBob('DELETE', `/notes/${note._id}`);
+            assert.equal(res.status, 404);
+            assert.ok(await Note.findOneOwned('alice', note._id));
+        });
+    });
+
+    describe('shortcuts', () => {
+        it('are not listed', async () => {
+            const res = await asBob('GET', '/shortcuts');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.shortcuts, []);
+        });
+
+        it('cannot be deleted', async () => {
+            const res = await asBob('DELETE', `/shortcuts/${shortcut._id}`);
+            assert.equal(res.status, 404);
+            assert.ok(await Shortcut.findOneOwned('alice', shortcut._id));
+        });
+    });
+
+    it('still lets the owner act on the same ids', async () => {
+        const res = await app.request('DELETE', `/shortcuts/${shortcut._id}`, { user: 'alice' });
+        assert.equal(res.status, 200);
+    });
+});
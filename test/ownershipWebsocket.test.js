@@ -0,0 +1,112 @@
+require('./helpers/setup');
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const db = require('./helpers/memoryDb');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Bookmark = require('../models/bookmark');
+const Note = require('../models/note');
+const Shortcut = require('../models/shortcut');
+const { signAccessToken, refreshTokenExpiry } = require('../utils/tokenHelper');
+const { initializeWebSocketServer } = require('../websocket');
+
+// Opens an authenticated socket and resolves replies by requestId.
+const connect = (port, token) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`, ['wraply', token]);
+    const pending = new Map();
+    let nextId = 0;
+
+    const send = (action, data) => new Promise((done) => {
+        const requestId = String(++nextId);
+        pending.set(requestId, done);
+        ws.send(JSON.stringify({ action, requestId, data }));
+    });
+
+    const close = () => new Promise((done) => {
+        ws.once('close', done);
+        ws.close();
+    });
+
+    ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        if (message.status === 'valid') return resolve({ send, close });
+        if (pending.has(message.requestId)) {
+            pending.get(message.requestId)(message);
+            pending.delete(message.requestId);
+        }
+    });
+    ws.on('error', reject);
+});
+
+describe('WebSocket actions reject another user\'s ids', () => {
+    let server;
+    let port;
+    let client;
+    let bookmark;
+    let note;
+    let shortcut;
+
+    before(async () => {
+        server = http.createServer();
+        initializeWebSocketServer(server);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(async () => {
+        await client.close();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        if (client) await client.close();
+        db.reset();
+        await db.seed(User, [
+            { username: 'alice', email: 'alice@example.com', totpSecret: 'a' },
+            { username: 'bob', email: 'bob@example.com', totpSecret: 'b' },
+        ]);
+        const [session] = await db.seed(Session, [
+            { username: 'bob', refreshTokenHash: 'hash', expiresAt: refreshTokenExpiry() },
+        ]);
+        [bookmark] = await db.seed(Bookmark, [{ username: 'alice', title: 'Docs', url: 'https://example.com/docs' }]);
+        [note] = await db.seed(Note, [{ username: 'alice', content: 'Private' }]);
+        [shortcut] = await db.seed(Shortcut, [{ username: 'alice', title: 'Mail', url: 'https://mail.example.com' }]);
+
+        client = await connect(port, signAccessToken('bob', session._id));
+    });
+
+    const assertNotFound = (reply) => {
+        assert.equal(reply.type, 'error');
+        assert.equal(reply.error.code, 'NOT_FOUND');
+    };
+
+    it('does not list them', async () => {
+        assert.deepEqual((await client.send('getBookmarks')).data.bookmarks, []);
+        assert.deepEqual((await client.send('getNotes')).data.notes, []);
+        assert.deepEqual((await client.send('getShortcuts')).data.shortcuts, []);
+    });
+
+    it('rejects updating, moving and deleting a bookmark', async () => {
+        assertNotFound(await client.send('updateBookmark', { id: bookmark._id, title: 'Hijacked' }));
+        assertNotFound(await client.send('moveBookmark', { id: bookmark._id, folderId: null }));
+        assertNotFound(await client.send('deleteBookmark', { id: bookmark._id }));
+
+        assert.equal((await Bookmark.findOneOwned('alice', bookmark._id)).title, 'Docs');
+    });
+
+    it('rejects reading, updating and deleting a note', async () => {
+        assertNotFound(await client.send('previewNote', { id: note._id }));
+        assertNotFound(await client.send('getNoteRevisions', { id: note._id }));
+        assertNotFound(await client.send('updateNote', { id: note._id, content: 'Hijacked' }));
+        assertNotFound(await client.send('deleteNote', { id: note._id }));
+
+        assert.equal((await Note.findOneOwned('alice', note._id)).content, 'Private');
+    });
+
+    it('rejects deleting a shortcut', async () => {
+        assertNotFound(await client.send('deleteShortcut', { id: shortcut._id }));
+        assert.ok(await Shortcut.findOneOwned('alice', shortcut._id));
+    });
+});
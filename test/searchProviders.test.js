@@ -0,0 +1,111 @@
+require('./helpers/setup');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const searxng = require('../services/searchProviders/searxng');
+
+const env = { ...process.env };
+
+// A fresh copy of the service, so registration sees the current environment.
+const loadSearchService = () => {
+    delete require.cache[require.resolve('../services/searchService')];
+    return require('../services/searchService');
+};
+
+const upstreamError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+const fakeProvider = (name, search) => ({ name, verticals: ['web'], search, suggest: async () => [] });
+
+describe('search providers', () => {
+    beforeEach(() => {
+        process.env = { ...env };
+        delete process.env.SEARCH_PROVIDERS;
+        delete process.env.SEARXNG_URL;
+        delete process.env.NODE_ENV;
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it('fails over to the next provider when one is down', async () => {
+        const searchService = loadSearchService();
+        searchService.registerProvider(fakeProvider('primary', async () => { throw upstreamError(503); }));
+        searchService.registerProvider(fakeProvider('secondary', async () => ({ country: 'US', items: [] })));
+        process.env.SEARCH_PROVIDERS = 'primary,secondary';
+
+        const { provider } = await searchService.search({ q: 'hello', type: 'web' });
+        assert.equal(provider, 'secondary');
+    });
+
+    it('uses SearXNG behind Brave by default once SEARXNG_URL is set', () => {
+        const searchService = loadSearchService();
+        assert.deepEqual(searchService.providerStatus().map(({ name }) => name), ['brave']);
+
+        process.env.SEARXNG_URL = 'https://searx.example.org';
+        assert.deepEqual(searchService.providerStatus().map(({ name }) => name), ['brave', 'searxng']);
+    });
+
+    it('refuses the mock provider in production', async () => {
+        process.env.NODE_ENV = 'production';
+        const searchService = loadSearchService();
+        assert.equal(searchService.registerProvider(require('../services/searchProviders/mock')), false);
+
+        process.env.SEARCH_PROVIDERS = 'mock';
+        await assert.rejects(searchService.search({ q: 'hello', type: 'web' }), { code: 'SEARCH_UNAVAILABLE' });
+    });
+
+    it('registers the mock provider outside production', async () => {
+        const searchService = loadSearchService();
+        process.env.SEARCH_PROVIDERS = 'mock';
+        const { provider, result } = await searchService.search({ q: 'hello', type: 'web', limit: 2 });
+        assert.equal(provider, 'mock');
+        assert.equal(result.items.length, 2);
+    });
+});
+
+describe('SearXNG adapter', () => {
+    beforeEach(() => {
+        process.env.SEARXNG_URL = 'https://searx.example.org/';
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it('maps request parameters and normalizes results', async () => {
+        const get = mock.method(axios, 'get', async () => ({
+            data: {
+                results: [
+                    { url: 'https://a.example.com/x', title: 'A', content: 'About A', publishedDate: '2026-01-02T00:00:00' },
+                    { url: 'https://b.example.com/y', title: 'B' },
+                    { url: 'https://c.example.com/z', title: 'C' },
+                ],
+            },
+        }));
+
+        const result = await searxng.search({
+            q: 'hello', type: 'news', page: 2, limit: 2, country: 'DE', language: 'de', safesearch: 'strict', freshness: 'week',
+        });
+
+        const [url, { params }] = get.mock.calls[0].arguments;
+        assert.equal(url, 'https://searx.example.org/search');
+        assert.deepEqual(params, {
+            q: 'hello', format: 'json', categories: 'news', pageno: 2, language: 'de', safesearch: 2, time_range: 'week',
+        });
+        assert.equal(result.country, 'DE');
+        assert.equal(result.items.length, 2);
+        assert.deepEqual(
+            { ...result.items[0], meta_data: undefined },
+            { type: 'news', title: 'A', link: 'https://a.example.com/x', description: 'About A', published: '2026-01-02T00:00:00', meta_data: undefined }
+        );
+        assert.equal(result.items[1].meta_data.creator, 'b.example.com');
+    });
+
+    it('reads OpenSearch suggestions', async () => {
+        mock.method(axios, 'get', async () => ({ data: ['hel', ['hello', 'help', 'helm']] }));
+        assert.deepEqual(await searxng.suggest({ q: 'hel', count: 2 }), ['hello', 'help']);
+    });
+});
@@ -0,0 +1,36 @@
+require('./helpers/setup');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const { startApp } = require('./helpers/app');
+const User = require('../models/user');
+const searchService = require('../services/searchService');
+
+describe('GET /search/search-online?type=all', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ '/search': require('../routes/search') });
+    });
+
+    after(() => {
+        mock.restoreAll();
+        return app.close();
+    });
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'alice', email: 'alice@example.com', totpSecret: 'a' }]);
+    });
+
+    it('caches blended results once whatever page is asked for', async () => {
+        const searchAll = mock.method(searchService, 'searchAll', async () => ({ sections: {}, errors: {} }));
+        const search = (page) => app.request('GET', `/search/search-online?q=blended+pages&type=all&country=US&page=${page}`, { user: 'alice' });
+
+        assert.equal((await search(1)).status, 200);
+        const res = await search(2);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.page, 1);
+        assert.equal(searchAll.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,46 @@
+require('./helpers/setup');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDb');
+const { startApp } = require('./helpers/app');
+const Session = require('../models/session');
+const { refreshTokenExpiry } = require('../utils/tokenHelper');
+
+describe('POST /session/revoke', () => {
+    let app;
+    let alices;
+    let bobs;
+
+    before(async () => {
+        app = await startApp({ '/session': require('../routes/session') });
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        db.reset();
+        [alices, bobs] = await db.seed(Session, [
+            { username: 'alice', refreshTokenHash: 'a', expiresAt: refreshTokenExpiry() },
+            { username: 'bob', refreshTokenHash: 'b', expiresAt: refreshTokenExpiry() },
+        ]);
+    });
+
+    const revoke = (body) => app.request('POST', '/session/revoke', { user: 'alice', body });
+
+    it('rejects a missing or malformed sessionId with 400', async () => {
+        assert.equal((await revoke({})).status, 400);
+        assert.equal((await revoke({ sessionId: 'not-an-id' })).status, 400);
+        assert.equal((await revoke({ sessionId: { $ne: null } })).status, 400);
+        assert.equal(db.all(Session).length, 2);
+    });
+
+    it('treats another user\'s session as missing', async () => {
+        assert.equal((await revoke({ sessionId: bobs._id.toString() })).status, 404);
+        assert.equal(db.all(Session).length, 2);
+    });
+
+    it('revokes the user\'s own session', async () => {
+        assert.equal((await revoke({ sessionId: alices._id.toString() })).status, 200);
+        assert.deepEqual(db.all(Session).map((session) => session.username), ['bob']);
+    });
+});
@@ -0,0 +1,78 @@
+require('./helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/memoryDb');
+const Tab = require('../models/tab');
+const TabGroup = require('../models/tabGroup');
+const tabService = require('../services/tabService');
+const { migrateTabGroups } = require('../migrations/tabGroups');
+
+// Tabs as the old schema stored them: a `group` name and no groupId or windowId.
+const seedLegacyTabs = (tabs) =>
+    Promise.all(tabs.map(async ({ group, ...fields }) => {
+        const tab = await new Tab({ ...fields, title: 'Tab', url: 'https://example.com' }).save();
+        await Tab.updateOne({ _id: tab._id }, { $set: { group }, $unset: { groupId: '', windowId: '' } }, { strict: false });
+        return tab;
+    }));
+
+describe('tab group migration', () => {
+    beforeEach(() => db.reset());
+
+    it('creates one group per user and name and backfills groupId', async () => {
+        const [work1, work2, play, ungrouped, bobs] = await seedLegacyTabs([
+            { username: 'alice', group: 'Work' },
+            { username: 'alice', group: 'Work' },
+            { username: 'alice', group: 'Play' },
+            { username: 'alice', group: 'default' },
+            { username: 'bob', group: 'Work' },
+        ]);
+
+        const result = await migrateTabGroups();
+        assert.deepEqual(result, { tabs: 5, groups: 3 });
+
+        const groupOf = async (tab) => (await Tab.findById(tab._id).lean()).groupId;
+        const alicesGroups = await TabGroup.findOwned('alice');
+        assert.deepEqual(alicesGroups.map((group) => group.name).sort(), ['Play', 'Work']);
+
+        assert.equal(String(await groupOf(work1)), String(await groupOf(work2)));
+        assert.notEqual(String(await groupOf(work1)), String(await groupOf(play)));
+        assert.notEqual(String(await groupOf(work1)), String(await groupOf(bobs)));
+        assert.equal(await groupOf(ungrouped), null);
+
+        const stored = db.all(Tab);
+        assert.ok(stored.every((tab) => !('group' in tab) && tab.windowId === 'default'));
+    });
+
+    it('does nothing the second time', async () => {
+        await seedLegacyTabs([{ username: 'alice', group: 'Work' }]);
+        await migrateTabGroups();
+        assert.deepEqual(await migrateTabGroups(), { tabs: 0, groups: 0 });
+        assert.equal((await TabGroup.findOwned('alice')).length, 1);
+    });
+});
+
+describe('groupTab with the deprecated newGroup name', () => {
+    beforeEach(() => db.reset());
+
+    it('joins the named group in the tab\'s window, creating it once', async () => {
+        const [first, second] = await db.seed(Tab, [
+            { username: 'alice', title: 'A', url: 'https://a.example.com' },
+            { username: 'alice', title: 'B', url: 'https://b.example.com' },
+        ]);
+
+        const a = await tabService.groupTabByName('alice', first._id, 'Work');
+        const b = await tabService.groupTabByName('alice', second._id, 'Work');
+
+        assert.ok(a.groupId instanceof mongoose.Types.ObjectId);
+        assert.equal(String(a.groupId), String(b.groupId));
+        assert.equal((await TabGroup.findOwned('alice')).length, 1);
+    });
+
+    it('treats "default" as ungrouped and ignores other users\' tabs', async () => {
+        const [tab] = await db.seed(Tab, [{ username: 'alice', title: 'A', url: 'https://a.example.com' }]);
+
+        assert.equal((await tabService.groupTabByName('alice', tab._id, 'default')).groupId, null);
+        assert.equal(await tabService.groupTabByName('bob', tab._id, 'Work'), null);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeText, diffLines } = require('../utils/textMerge');
+
+const lines = (...items) => items.join('\n');
+
+describe('mergeText', () => {
+    const base = lines('# Groceries', 'milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent');
+
+    it('combines edits to different regions', () => {
+        const ours = lines('# Groceries', 'oat milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent');
+        const theirs = lines('# Groceries', 'milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent', 'book dentist');
+
+        assert.deepEqual(mergeText(base, ours, theirs), {
+            merged: lines('# Groceries', 'oat milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent', 'book dentist'),
+            conflict: false,
+        });
+    });
+
+    it('combines an insertion on one side with a deletion on the other', () => {
+        const ours = lines('# Groceries', 'milk', 'eggs', 'butter', 'bread', '', '# Todo', 'call mum', 'pay rent');
+        const theirs = lines('# Groceries', 'milk', 'eggs', 'bread', '', '# Todo', 'pay rent');
+
+        assert.equal(
+            mergeText(base, ours, theirs).merged,
+            lines('# Groceries', 'milk', 'eggs', 'butter', 'bread', '', '# Todo', 'pay rent')
+        );
+    });
+
+    it('reports edits to the same lines as a conflict', () => {
+        const ours = lines('# Groceries', 'oat milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent');
+        const theirs = lines('# Groceries', 'soy milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent');
+
+        assert.deepEqual(mergeText(base, ours, theirs), { merged: null, conflict: true });
+    });
+
+    it('reports different insertions at the same place as a conflict', () => {
+        const ours = lines('# Groceries', 'milk', 'eggs', 'butter', 'bread', '', '# Todo', 'call mum', 'pay rent');
+        const theirs = lines('# Groceries', 'milk', 'eggs', 'jam', 'bread', '', '# Todo', 'call mum', 'pay rent');
+
+        assert.equal(mergeText(base, ours, theirs).conflict, true);
+    });
+
+    it('accepts the same edit made on both sides', () => {
+        const edited = lines('# Groceries', 'oat milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent');
+        assert.deepEqual(mergeText(base, edited, edited), { merged: edited, conflict: false });
+
+        // The same change in one region, plus an edit elsewhere on one side.
+        const ours = lines('# Groceries', 'oat milk', 'eggs', 'bread', '', '# Todo', 'call mum', 'pay rent', 'book dentist');
+        assert.deepEqual(mergeText(base, ours, edited), { merged: ours, conflict: false });
+    });
+
+    it('takes whichever side changed when only one did', () => {
+        const edited = `${base}\nwater plants`;
+        assert.equal(mergeText(base, edited, base).merged, edited);
+        assert.equal(mergeText(base, base, edited).merged, edited);
+    });
+
+    it('keeps trailing newlines and indentation', () => {
+        const indented = 'list:\n  - a\n  - b\n';
+        const ours = 'list:\n  - a\n  - a2\n  - b\n';
+        const theirs = 'list:\n  - a\n  - b\n\n    code\n';
+        assert.equal(mergeText(indented, ours, theirs).merged, 'list:\n  - a\n  - a2\n  - b\n\n    code\n');
+    });
+});
+
+describe('diffLines', () => {
+    it('groups equal, removed and added runs', () => {
+        const { changes, added, removed } = diffLines(lines('a', 'b', 'c', 'd'), lines('a', 'x', 'y', 'c', 'd'));
+
+        assert.deepEqual(changes, [
+            { type: 'equal', lines: ['a'] },
+            { type: 'removed', lines: ['b'] },
+            { type: 'added', lines: ['x', 'y'] },
+            { type: 'equal', lines: ['c', 'd'] },
+        ]);
+        assert.equal(added, 2);
+        assert.equal(removed, 1);
+    });
+});
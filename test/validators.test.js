@@ -0,0 +1,28 @@
+require('./helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAction } = require('../utils/validators');
+
+describe('note content validation', () => {
+    const markdown = '  - nested item\n\n    indented code\n\n';
+
+    it('keeps indentation and trailing newlines', async () => {
+        assert.equal((await validateAction('addNote', { content: markdown })).content, markdown);
+        assert.equal((await validateAction('renderMarkdown', { content: markdown })).content, markdown);
+    });
+
+    it('keeps update content and base identical', async () => {
+        const id = '0123456789abcdef01234567';
+        const payload = await validateAction('updateNote', { id, content: markdown, base: markdown, version: 1 });
+        assert.equal(payload.content, payload.base);
+    });
+
+    it('rejects empty and whitespace-only content', async () => {
+        await assert.rejects(validateAction('addNote', { content: '' }), { code: 'VALIDATION_ERROR' });
+        await assert.rejects(validateAction('addNote', { content: ' \n\t' }), { code: 'VALIDATION_ERROR' });
+    });
+
+    it('still trims single-line fields', async () => {
+        assert.equal((await validateAction('addNote', { content: 'Body', title: '  Title  ' })).title, 'Title');
+    });
+});
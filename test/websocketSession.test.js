@@ -0,0 +1,62 @@
+require('./helpers/setup');
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const db = require('./helpers/memoryDb');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { signAccessToken, refreshTokenExpiry } = require('../utils/tokenHelper');
+const { initializeWebSocketServer } = require('../websocket');
+
+// Resolves with the socket once the server has accepted the session.
+const connect = (port, token) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`, ['wraply', token]);
+    ws.once('message', () => resolve(ws));
+    ws.on('error', reject);
+});
+
+const closed = (ws) => new Promise((resolve) => {
+    ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+});
+
+describe('WebSocket session lifetime', () => {
+    let server;
+    let port;
+    let session;
+
+    before(async () => {
+        server = http.createServer();
+        initializeWebSocketServer(server);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(async () => {
+        db.reset();
+        await db.seed(User, [{ username: 'bob', email: 'bob@example.com', totpSecret: 'b' }]);
+        [session] = await db.seed(Session, [
+            // Last seen long ago, so the next message re-checks the session.
+            { username: 'bob', refreshTokenHash: 'hash', expiresAt: refreshTokenExpiry(), lastSeenAt: new Date(0) },
+        ]);
+    });
+
+    it('closes the socket with a token-expired code when the access token expires', async () => {
+        const token = jwt.sign({ username: 'bob', sid: session._id.toString() }, process.env.JWT_SECRET, { expiresIn: 1 });
+        const ws = await connect(port, token);
+
+        assert.deepEqual(await closed(ws), { code: 4002, reason: 'Token expired' });
+    });
+
+    it('closes the socket with a session-revoked code when the session is gone', async () => {
+        const ws = await connect(port, signAccessToken('bob', session._id));
+        await Session.deleteOne({ _id: session._id });
+
+        const result = closed(ws);
+        ws.send(JSON.stringify({ action: 'getTabs', requestId: '1' }));
+        assert.equal((await result).code, 4001);
+    });
+});
@@ -0,0 +1,97 @@
+const { stores } = require('./cacheStores');
+const logger = require('./logger');
+
+// Read-through cache over a pluggable store (CACHE_BACKEND=memory|mongo).
+//
+// - Fresh entries are returned as is.
+// - Stale entries (past `ttl` but within `staleTtl` more seconds) are returned
+//   immediately while one background load refreshes them.
+// - Concurrent misses for the same key share a single load in this process.
+// - A store that errors is treated as a miss, so the cache never takes
+//   requests down with it.
+const createCache = ({ backend = process.env.CACHE_BACKEND || 'memory', name = 'cache' } = {}) => {
+    const store = (stores[backend] || stores.memory)();
+    const inFlight = new Map();
+    const metrics = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, loads: 0, loadErrors: 0, storeErrors: 0 };
+
+    const read = async (key) => {
+        try {
+            return await store.get(key);
+        } catch (err) {
+            metrics.storeErrors += 1;
+            logger.warn(`${name}: store read failed for ${key}: ${err.message}`);
+            return null;
+        }
+    };
+
+    const write = async (key, entry) => {
+        try {
+            await store.set(key, entry);
+        } catch (err) {
+            metrics.storeErrors += 1;
+            logger.warn(`${name}: store write failed for ${key}: ${err.message}`);
+        }
+    };
+
+    // `ttl` may be a function of the loaded value, e.g. to keep partial results briefly.
+    const load = (key, loader, { ttl, staleTtl = 0 }) => {
+        if (inFlight.has(key)) {
+            metrics.coalesced += 1;
+            return inFlight.get(key);
+        }
+
+        metrics.loads += 1;
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                const seconds = typeof ttl === 'function' ? ttl(value) : ttl;
+                const freshUntil = new Date(Date.now() + seconds * 1000);
+                await write(key, { value, freshUntil, expiresAt: new Date(freshUntil.getTime() + staleTtl * 1000) });
+                return value;
+            } catch (err) {
+                metrics.loadErrors += 1;
+                throw err;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, promise);
+        return promise;
+    };
+
+    const getOrLoad = async (key, loader, options) => {
+        const entry = await read(key);
+        if (entry && new Date(entry.freshUntil) > new Date()) {
+            metrics.hits += 1;
+            return entry.value;
+        }
+
+        if (entry) {
+            metrics.staleHits += 1;
+            load(key, loader, options).catch((err) =>
+                logger.warn(`${name}: background refresh failed for ${key}: ${err.message}`)
+            );
+            return entry.value;
+        }
+
+        metrics.misses += 1;
+        return load(key, loader, options);
+    };
+
+    const del = (key) => store.del(key);
+
+    const stats = () => {
+        const lookups = metrics.hits + metrics.staleHits + metrics.misses;
+        return {
+            name,
+            backend: store.name,
+            ...metrics,
+            inFlight: inFlight.size,
+            hitRate: lookups ? (metrics.hits + metrics.staleHits) / lookups : null,
+        };
+    };
+
+    return { getOrLoad, del, stats };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,43 @@
+const NodeCache = require('node-cache');
+const CacheEntry = require('../models/cacheEntry');
+
+// Cache backends. Each stores `{ value, freshUntil, expiresAt }` entries and
+// drops them once `expiresAt` has passed.
+
+// Per-process and lost on restart, but needs nothing else running.
+const createMemoryStore = () => {
+    const cache = new NodeCache({ stdTTL: 0, checkperiod: 120, useClones: false });
+    return {
+        name: 'memory',
+        // node-cache expires in whole seconds, so check `expiresAt` as the mongo store does.
+        get: async (key) => {
+            const entry = cache.get(key);
+            return entry && entry.expiresAt > new Date() ? entry : null;
+        },
+        set: async (key, entry) => {
+            cache.set(key, entry, Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000)));
+        },
+        del: async (key) => {
+            cache.del(key);
+        },
+    };
+};
+
+// Shared by every instance and survives restarts.
+const createMongoStore = () => ({
+    name: 'mongo',
+    get: (key) => CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+    set: async (key, entry) => {
+        await CacheEntry.updateOne({ key }, { $set: { ...entry, key } }, { upsert: true });
+    },
+    del: async (key) => {
+        await CacheEntry.deleteOne({ key });
+    },
+});
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore,
+};
+
+module.exports = { stores };
@@ -0,0 +1,44 @@
+// Per-dependency circuit breaker. After `failureThreshold` consecutive failures
+// the circuit opens and requests are refused for `cooldownMs`; the first
+// request after that is a trial (half-open) that closes the circuit on success
+// or reopens it on failure.
+const createCircuitBreaker = ({ failureThreshold = 5, cooldownMs = 30 * 1000 } = {}) => {
+    let failures = 0;
+    let openUntil = 0;
+    let trialInFlight = false;
+
+    const state = () => {
+        if (!openUntil) return 'closed';
+        return Date.now() < openUntil ? 'open' : 'half-open';
+    };
+
+    // Whether a request may go through now. In half-open only one trial runs at a time.
+    const canRequest = () => {
+        const current = state();
+        if (current === 'closed') return true;
+        if (current === 'open' || trialInFlight) return false;
+        trialInFlight = true;
+        return true;
+    };
+
+    const recordSuccess = () => {
+        failures = 0;
+        openUntil = 0;
+        trialInFlight = false;
+    };
+
+    // `openForMs` opens the circuit immediately, e.g. for a rate limit with Retry-After.
+    const recordFailure = ({ openForMs } = {}) => {
+        failures += 1;
+        trialInFlight = false;
+        if (openForMs || failures >= failureThreshold || openUntil) {
+            openUntil = Date.now() + (openForMs || cooldownMs);
+        }
+    };
+
+    const status = () => ({ state: state(), failures, openUntil: openUntil ? new Date(openUntil) : null });
+
+    return { canRequest, recordSuccess, recordFailure, status };
+};
+
+module.exports = { createCircuitBreaker };
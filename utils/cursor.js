@@ -0,0 +1,16 @@
+const { AppError } = require('./errors');
+
+// Keyset pagination cursors, opaque to clients: base64url of "<time ms>:<last _id>".
+const encodeCursor = (time, id) =>
+    Buffer.from(`${new Date(time).getTime()}:${id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    const time = new Date(Number(ms));
+    if (!/^[a-f\d]{24}$/i.test(id || '') || Number.isNaN(time.getTime())) {
+        throw new AppError('Invalid cursor', { code: 'INVALID_CURSOR' });
+    }
+    return { time, id };
+};
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,18 @@
+// Expected, client-facing failures. Anything else is treated as an internal error.
+class AppError extends Error {
+    constructor(message, { status = 400, code = 'BAD_REQUEST', details } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const notFound = (message) => new AppError(message, { status: 404, code: 'NOT_FOUND' });
+
+// Carries the current server copy so the client can rebase or show both versions.
+const conflict = (current) =>
+    new AppError('Version conflict', { status: 409, code: 'CONFLICT', details: { current } });
+
+module.exports = { AppError, notFound, conflict };
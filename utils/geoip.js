@@ -0,0 +1,97 @@
+const fs = require('fs');
+const readline = require('readline');
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+const { parseIp, isPrivateIp } = require('./ip');
+
+// Offline country lookup, so resolving a searcher's region never sends their IP
+// anywhere. GEOIP_DB_PATH points at a CSV of address ranges, one per line:
+//
+//     start,end,country      e.g. 1.0.0.0,1.0.0.255,AU  or  2001:200::,2001:200:ffff:ffff:ffff:ffff:ffff:ffff,JP
+//
+// which is the layout of the freely available DB-IP "IP to Country Lite" file.
+// Ranges must not overlap. Without a database every lookup misses.
+
+const CACHE_TTL_SECONDS = 6 * 60 * 60;
+const MAX_CACHED_IPS = 50000;
+
+const cache = new NodeCache({ stdTTL: CACHE_TTL_SECONDS, checkperiod: 600, useClones: false });
+let loading = null;
+
+const findRange = (ranges, value) => {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const range = ranges[mid];
+        if (value < range.start) high = mid - 1;
+        else if (value > range.end) low = mid + 1;
+        else return range;
+    }
+    return null;
+};
+
+const readDatabase = async (path) => {
+    const tables = { 4: [], 6: [] };
+    const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        const [startIp, endIp, country] = line.split(',').map((field) => field.trim().replace(/^"|"$/g, ''));
+        const start = parseIp(startIp);
+        const end = parseIp(endIp);
+        // Skips headers, comments and rows without a real country ("ZZ" is unknown).
+        if (!start || !end || start.version !== end.version || !/^[A-Z]{2}$/i.test(country || '') || /^zz$/i.test(country)) {
+            continue;
+        }
+        tables[start.version].push({ start: start.value, end: end.value, country: country.toUpperCase() });
+    }
+
+    for (const ranges of Object.values(tables)) {
+        ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+    return tables;
+};
+
+// Loads the database once; later calls share the same result. Safe to call at
+// startup so the first search does not wait for it.
+const loadGeoDatabase = () => {
+    if (loading) return loading;
+
+    const path = process.env.GEOIP_DB_PATH;
+    if (!path) {
+        logger.warn('GEOIP_DB_PATH is not set; searches fall back to the saved country preference');
+        loading = Promise.resolve({ 4: [], 6: [] });
+        return loading;
+    }
+
+    loading = readDatabase(path)
+        .then((tables) => {
+            logger.info(`Geo-IP database loaded: ${tables[4].length} IPv4 and ${tables[6].length} IPv6 ranges`);
+            return tables;
+        })
+        .catch((error) => {
+            logger.error(`Failed to load geo-IP database from ${path}: ${error.message}`);
+            return { 4: [], 6: [] };
+        });
+    return loading;
+};
+
+// Two-letter country code for `ip`, or null for private, malformed and unknown
+// addresses.
+const lookupCountry = async (ip) => {
+    if (cache.has(ip)) return cache.get(ip);
+
+    let country = null;
+    if (!isPrivateIp(ip)) {
+        const { version, value } = parseIp(ip);
+        const tables = await loadGeoDatabase();
+        const range = findRange(tables[version], value);
+        country = range ? range.country : null;
+    }
+
+    if (cache.getStats().keys >= MAX_CACHED_IPS) cache.flushAll();
+    cache.set(ip, country);
+    return country;
+};
+
+module.exports = { loadGeoDatabase, lookupCountry };
@@ -0,0 +1,52 @@
+// Marks query terms in user content for display. Output is HTML-escaped, so the
+// only markup it contains is the <mark> tags added here.
+
+const escapeHtml = (text) =>
+    String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a MongoDB $text query, minus negated terms and operators.
+const queryTerms = (query) =>
+    [...new Set(
+        query
+            .split(/\s+/)
+            .filter((word) => word && !word.startsWith('-'))
+            .map((word) => word.replace(/^["']+|["']+$/g, '').toLowerCase())
+            .filter((word) => word.length > 1)
+    )];
+
+// Text search matches stems, so highlight any word that starts with a term.
+const termPattern = (terms) =>
+    terms.length ? new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi') : null;
+
+// Returns a window of at most `maxLength` characters around the first match,
+// with every match wrapped in <mark>. Returns null when nothing matches.
+const highlight = (text, terms, { maxLength = 160 } = {}) => {
+    const pattern = termPattern(terms);
+    if (!text || !pattern) return null;
+
+    const first = text.search(pattern);
+    if (first === -1) return null;
+
+    const start = text.length <= maxLength ? 0 : Math.max(0, Math.min(first - 40, text.length - maxLength));
+    const end = Math.min(text.length, start + maxLength);
+    const excerpt = text.slice(start, end);
+
+    let marked = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        marked += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    marked += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = { escapeHtml, escapeRegExp, queryTerms, highlight };
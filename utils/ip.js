@@ -0,0 +1,123 @@
+const net = require('net');
+const logger = require('./logger');
+
+const MAPPED_IPV4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const ipv6ToBigInt = (ip) => {
+    let address = ip;
+    // A trailing dotted quad stands for the last two groups.
+    const dotted = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const value = ipv4ToNumber(dotted[1]);
+        address = address.slice(0, -dotted[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+    return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+// `{ version, value }` with the address as a Number (IPv4) or BigInt (IPv6), or
+// null when `ip` is not an address. IPv4-mapped IPv6 addresses count as IPv4.
+const parseIp = (ip) => {
+    if (typeof ip !== 'string') return null;
+    const address = ip.trim().replace(/%.*$/, '').replace(MAPPED_IPV4, '$1');
+
+    switch (net.isIP(address)) {
+        case 4:
+            return { version: 4, value: ipv4ToNumber(address) };
+        case 6:
+            return { version: 6, value: ipv6ToBigInt(address) };
+        default:
+            return null;
+    }
+};
+
+const BITS = { 4: 32n, 6: 128n };
+
+// "10.0.0.0/8", "fd00::/8" or a single address.
+const parseCidr = (cidr) => {
+    const [address, prefix] = cidr.trim().split('/');
+    const parsed = parseIp(address);
+    if (!parsed) return null;
+
+    const bits = BITS[parsed.version];
+    const length = prefix === undefined ? bits : BigInt(prefix);
+    if (length < 0n || length > bits) return null;
+    return { version: parsed.version, shift: bits - length, network: BigInt(parsed.value) >> (bits - length) };
+};
+
+const inRange = (parsed, range) =>
+    parsed.version === range.version && BigInt(parsed.value) >> range.shift === range.network;
+
+// Loopback, private, link-local and unique local ranges: never on the public
+// internet, so they have no location.
+const PRIVATE_RANGES = [
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '::/127',
+    'fc00::/7',
+    'fe80::/10',
+].map(parseCidr);
+
+const isPrivateIp = (ip) => {
+    const parsed = parseIp(ip);
+    return !parsed || PRIVATE_RANGES.some((range) => inRange(parsed, range));
+};
+
+// TRUSTED_PROXIES is a comma-separated list of addresses or CIDR ranges allowed
+// to set x-forwarded-for. Defaults to loopback, for a proxy on the same host;
+// see .env.example.
+let trustedProxies = null;
+const getTrustedProxies = () => {
+    if (!trustedProxies) {
+        trustedProxies = (process.env.TRUSTED_PROXIES || '127.0.0.0/8,::1')
+            .split(',')
+            .filter((entry) => entry.trim())
+            .map(parseCidr)
+            .filter(Boolean);
+    }
+    return trustedProxies;
+};
+
+const isTrustedProxy = (ip) => {
+    const parsed = parseIp(ip);
+    return Boolean(parsed) && getTrustedProxies().some((range) => inRange(parsed, range));
+};
+
+let warnedUntrustedForward = false;
+
+// The client address. x-forwarded-for is only believed when the connection
+// comes from a trusted proxy; it is read right to left, skipping further
+// trusted proxies, so a client cannot spoof it by sending its own header.
+const getRequestIP = (req) => {
+    const remote = (req.socket.remoteAddress || '').replace(MAPPED_IPV4, '$1');
+    const forwarded = req.headers['x-forwarded-for'];
+    if (!forwarded) return remote;
+    if (!isTrustedProxy(remote)) {
+        // Usually a reverse proxy missing from TRUSTED_PROXIES, which makes every
+        // client share its address; said once rather than on every request.
+        if (!warnedUntrustedForward) {
+            warnedUntrustedForward = true;
+            logger.warn(`Ignoring x-forwarded-for from ${remote}, which is not in TRUSTED_PROXIES`);
+        }
+        return remote;
+    }
+
+    const hops = forwarded.split(',').map((hop) => hop.trim()).filter(Boolean);
+    for (let i = hops.length - 1; i >= 0; i--) {
+        if (!isTrustedProxy(hops[i]) || i === 0) return hops[i].replace(MAPPED_IPV4, '$1');
+    }
+    return remote;
+};
+
+module.exports = { parseIp, isPrivateIp, isTrustedProxy, getRequestIP };
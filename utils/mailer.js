@@ -0,0 +1,30 @@
+const { MailerSend, EmailParams, Sender, Recipient } = require("mailersend");
+const logger = require('./logger');
+require('dotenv').config();
+
+const mailerSend = new MailerSend({ apiKey: process.env.API_KEY });
+
+const sendOtpEmail = async (toEmail, subject, otp, username, purpose = 'complete your login') => {
+    const sentFrom = new Sender("noreply@trial-351ndgwjzzxlzqx8.mlsender.net", "Wraply Space");
+    const recipients = [new Recipient(toEmail, username)];
+    const emailParams = new EmailParams()
+        .setFrom(sentFrom)
+        .setTo(recipients)
+        .setSubject(subject)
+        .setHtml(`
+            <div style="font-family: Arial, sans-serif; text-align: center;">
+                <h2>Your OTP Code</h2>
+                <p style="font-size: 18px;">Use the following OTP to ${purpose}:</p>
+                <p style="font-size: 24px; font-weight: bold; color: #007BFF;">${otp}</p>
+                <p>This OTP is valid for a 5 minutes.</p>
+            </div>
+        `);
+    try {
+        await mailerSend.email.send(emailParams);
+        logger.info(`OTP sent to ${toEmail}`);
+    } catch (err) {
+        logger.error(`Error sending email to ${toEmail}: ${err.message}`);
+    }
+};
+
+module.exports = { sendOtpEmail };
@@ -0,0 +1,96 @@
+// Minimal Markdown renderer for note previews. The source is HTML-escaped before
+// any markup is added, so raw HTML in a note is always shown as text and the
+// only tags in the output are the ones produced here. Supported: headings,
+// paragraphs, emphasis, strikethrough, inline and fenced code, links,
+// blockquotes, lists and horizontal rules.
+const { escapeHtml } = require('./highlight');
+
+const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+const renderEmphasis = (html) =>
+    html
+        // Underscores only count at word boundaries, so snake_case stays intact.
+        .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*|(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*|(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, (match, stars, underscores) => `<em>${stars || underscores}</em>`)
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+
+const renderInline = (text) => {
+    // Code spans and links are set aside first so code and link targets are
+    // never formatted, and emphasis cannot start in one and end outside it.
+    const parts = [];
+    const setAside = (html) => {
+        parts.push(html);
+        return `\u0000${parts.length - 1}\u0000`;
+    };
+
+    const html = escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, content) => setAside(`<code>${content}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+            SAFE_LINK.test(href)
+                ? setAside(`<a href="${href}" rel="noopener noreferrer nofollow">${renderEmphasis(label)}</a>`)
+                : label
+        );
+
+    const restore = (value) => value.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(parts[Number(index)]));
+    return restore(renderEmphasis(html));
+};
+
+const renderMarkdown = (source) => {
+    const lines = String(source).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    const flush = () => {
+        flushParagraph();
+        flushList();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let match;
+
+        if (/^```/.test(line)) {
+            flush();
+            const code = [];
+            while (++i < lines.length && !/^```/.test(lines[i])) code.push(lines[i]);
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (!line.trim()) {
+            flush();
+        } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+            flush();
+            const level = match[1].length;
+            html.push(`<h${level}>${renderInline(match[2].trim())}</h${level}>`);
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            html.push('<hr>');
+        } else if ((match = line.match(/^>\s?(.*)$/))) {
+            flush();
+            const quote = [match[1]];
+            while (i + 1 < lines.length && /^>/.test(lines[i + 1])) quote.push(lines[++i].replace(/^>\s?/, ''));
+            html.push(`<blockquote>${quote.map(renderInline).join('<br>')}</blockquote>`);
+        } else if ((match = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/))) {
+            flushParagraph();
+            const tag = match[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(match[2]);
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+    flush();
+
+    return html.join('\n');
+};
+
+module.exports = { renderMarkdown };
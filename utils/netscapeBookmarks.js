@@ -0,0 +1,133 @@
+// Reader/writer for the Netscape bookmark file format exported by Chrome,
+// Firefox, Safari and Edge. Both sides work on a plain tree:
+//   { type: 'folder', name, addDate, children: [...] }
+//   { type: 'bookmark', title, url, addDate, tags, description }
+const { AppError } = require('./errors');
+
+// Like browsers, code points that are out of range, surrogates or NUL decode
+// to U+FFFD instead of failing.
+const fromCodePoint = (code) =>
+    code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff) ? String.fromCodePoint(code) : '\ufffd';
+
+const decodeEntities = (text) =>
+    text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => fromCodePoint(Number(dec)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+
+const encodeEntities = (text) =>
+    String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const parseAttributes = (source) => {
+    const attributes = {};
+    for (const [, name, value] of source.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name.toUpperCase()] = decodeEntities(value);
+    }
+    return attributes;
+};
+
+// ADD_DATE is seconds since the epoch.
+const parseDate = (value) => (value && /^\d+$/.test(value) ? new Date(Number(value) * 1000) : null);
+const formatDate = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+const parseNetscape = (html) => {
+    if (!/<dl\b/i.test(html)) {
+        throw new AppError('Not a Netscape bookmark file', { code: 'INVALID_IMPORT' });
+    }
+
+    const root = [];
+    const stack = [root];
+    let pendingFolder = null;
+    let lastBookmark = null;
+
+    const tokens = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+    let match;
+    while ((match = tokens.exec(html))) {
+        const [, closing, rawTag, attributeSource] = match;
+        const tag = rawTag.toLowerCase();
+        const current = stack[stack.length - 1];
+
+        if (tag === 'dl') {
+            if (closing) {
+                if (stack.length > 1) stack.pop();
+            } else if (pendingFolder) {
+                stack.push(pendingFolder.children);
+                pendingFolder = null;
+            }
+        } else if (tag === 'h3' && !closing) {
+            const end = html.indexOf('</', tokens.lastIndex);
+            const attributes = parseAttributes(attributeSource);
+            pendingFolder = {
+                type: 'folder',
+                name: decodeEntities(html.slice(tokens.lastIndex, end).trim()) || 'Untitled folder',
+                addDate: parseDate(attributes.ADD_DATE),
+                children: [],
+            };
+            current.push(pendingFolder);
+            lastBookmark = null;
+        } else if (tag === 'a' && !closing) {
+            const end = html.indexOf('</', tokens.lastIndex);
+            const attributes = parseAttributes(attributeSource);
+            lastBookmark = {
+                type: 'bookmark',
+                title: decodeEntities(html.slice(tokens.lastIndex, end).trim()),
+                url: attributes.HREF || '',
+                addDate: parseDate(attributes.ADD_DATE),
+                tags: attributes.TAGS ? attributes.TAGS.split(',').map((tag) => tag.trim()).filter(Boolean) : [],
+                description: '',
+            };
+            current.push(lastBookmark);
+        } else if (tag === 'dd' && !closing && lastBookmark) {
+            const end = html.indexOf('<', tokens.lastIndex);
+            lastBookmark.description = decodeEntities(html.slice(tokens.lastIndex, end === -1 ? undefined : end).trim());
+            lastBookmark = null;
+        }
+    }
+
+    return root;
+};
+
+const toNetscape = (tree) => {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+    ];
+
+    const writeList = (nodes, depth) => {
+        const indent = '    '.repeat(depth);
+        lines.push(`${indent}<DL><p>`);
+        for (const node of nodes) {
+            const addDate = formatDate(node.addDate);
+            const dateAttribute = addDate ? ` ADD_DATE="${addDate}"` : '';
+            if (node.type === 'folder') {
+                lines.push(`${indent}    <DT><H3${dateAttribute}>${encodeEntities(node.name)}</H3>`);
+                writeList(node.children, depth + 1);
+            } else {
+                const tagsAttribute = node.tags && node.tags.length ? ` TAGS="${encodeEntities(node.tags.join(','))}"` : '';
+                lines.push(
+                    `${indent}    <DT><A HREF="${encodeEntities(node.url)}"${dateAttribute}${tagsAttribute}>${encodeEntities(node.title)}</A>`
+                );
+                if (node.description) lines.push(`${indent}    <DD>${encodeEntities(node.description)}`);
+            }
+        }
+        lines.push(`${indent}</DL><p>`);
+    };
+
+    writeList(tree, 0);
+    return `${lines.join('\n')}\n`;
+};
+
+module.exports = { parseNetscape, toNetscape };
@@ -27,4 +27,24 @@ const generateOtp = (secret, timestamp) => {
     return otp;
 };
 
-module.exports = { generateTotpSecretAndQr, generateOtp };
+const EMAIL_OTP_INTERVAL = 600;
+const TOTP_INTERVAL = 30;
+
+const alignTime = (interval) => Math.floor(Math.floor(Date.now() / 1000) / interval) * interval;
+
+const generateEmailOtp = (secret) => generateOtp(secret, alignTime(EMAIL_OTP_INTERVAL));
+
+// Accepts the code for the current window and one window either side.
+const verifyOtp = (secret, otp, type) => {
+    const interval = type === 'email' ? EMAIL_OTP_INTERVAL : TOTP_INTERVAL;
+    const alignedTime = alignTime(interval);
+
+    const validOtps = [
+        generateOtp(secret, alignedTime - interval),
+        generateOtp(secret, alignedTime),
+        generateOtp(secret, alignedTime + interval)
+    ];
+    return validOtps.includes(otp);
+};
+
+module.exports = { generateTotpSecretAndQr, generateOtp, generateEmailOtp, verifyOtp };
@@ -0,0 +1,146 @@
+// Line-based three-way merge (diff3). Given the text both sides started from
+// (`base`) and two edited copies, non-overlapping edits are combined; edits that
+// touch the same region differently are reported as a conflict. Also provides
+// the two-way line diff used to compare note revisions.
+
+// Upper bound on the LCS table; larger inputs are reported as a conflict
+// rather than merged.
+const MAX_MERGE_CELLS = 4000000;
+
+// Maps each matched base line index to its index in `other` (longest common subsequence).
+const matchLines = (base, other) => {
+    const n = base.length;
+    const m = other.length;
+    const lengths = Array.from({ length: n + 1 }, () => new Int32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i][j] = base[i] === other[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const matches = new Array(n);
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (base[i] === other[j]) {
+            matches[i] = j;
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
+};
+
+const sameLines = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+const mergeText = (base, ours, theirs) => {
+    if (ours === theirs || theirs === base) return { merged: ours, conflict: false };
+    if (ours === base) return { merged: theirs, conflict: false };
+
+    const baseLines = base.split('\n');
+    const oursLines = ours.split('\n');
+    const theirsLines = theirs.split('\n');
+    if (baseLines.length * Math.max(oursLines.length, theirsLines.length) > MAX_MERGE_CELLS) {
+        return { merged: null, conflict: true };
+    }
+
+    const oursMatch = matchLines(baseLines, oursLines);
+    const theirsMatch = matchLines(baseLines, theirsLines);
+
+    const merged = [];
+    let i = 0;
+    let a = 0;
+    let b = 0;
+
+    while (true) {
+        // Copy lines unchanged on both sides.
+        while (i < baseLines.length && oursMatch[i] === a && theirsMatch[i] === b) {
+            merged.push(baseLines[i]);
+            i++;
+            a++;
+            b++;
+        }
+        if (i >= baseLines.length && a >= oursLines.length && b >= theirsLines.length) break;
+
+        // The next base line kept by both sides closes the changed region.
+        let j = i;
+        while (j < baseLines.length && (oursMatch[j] === undefined || theirsMatch[j] === undefined)) j++;
+        const aEnd = j < baseLines.length ? oursMatch[j] : oursLines.length;
+        const bEnd = j < baseLines.length ? theirsMatch[j] : theirsLines.length;
+
+        const baseChunk = baseLines.slice(i, j);
+        const oursChunk = oursLines.slice(a, aEnd);
+        const theirsChunk = theirsLines.slice(b, bEnd);
+
+        if (sameLines(oursChunk, baseChunk)) {
+            merged.push(...theirsChunk);
+        } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+            merged.push(...oursChunk);
+        } else {
+            return { merged: null, conflict: true };
+        }
+
+        i = j;
+        a = aEnd;
+        b = bEnd;
+    }
+
+    return { merged: merged.join('\n'), conflict: false };
+};
+
+// Line diff from `before` to `after` as runs of `equal`, `removed` and `added`
+// lines. Inputs too large for the LCS table are reported as one removal and
+// one addition of the differing middle section.
+const diffLines = (before, after) => {
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+
+    // Common head and tail never need the LCS table.
+    let head = 0;
+    while (head < beforeLines.length && head < afterLines.length && beforeLines[head] === afterLines[head]) head++;
+    let tail = 0;
+    while (
+        tail < beforeLines.length - head &&
+        tail < afterLines.length - head &&
+        beforeLines[beforeLines.length - 1 - tail] === afterLines[afterLines.length - 1 - tail]
+    ) tail++;
+
+    const oldMiddle = beforeLines.slice(head, beforeLines.length - tail);
+    const newMiddle = afterLines.slice(head, afterLines.length - tail);
+
+    const changes = [];
+    const push = (type, line) => {
+        const last = changes[changes.length - 1];
+        if (last && last.type === type) last.lines.push(line);
+        else changes.push({ type, lines: [line] });
+    };
+
+    beforeLines.slice(0, head).forEach((line) => push('equal', line));
+    if (oldMiddle.length * newMiddle.length > MAX_MERGE_CELLS) {
+        oldMiddle.forEach((line) => push('removed', line));
+        newMiddle.forEach((line) => push('added', line));
+    } else {
+        const matches = matchLines(oldMiddle, newMiddle);
+        let j = 0;
+        oldMiddle.forEach((line, i) => {
+            if (matches[i] === undefined) return push('removed', line);
+            while (j < matches[i]) push('added', newMiddle[j++]);
+            push('equal', line);
+            j++;
+        });
+        while (j < newMiddle.length) push('added', newMiddle[j++]);
+    }
+    beforeLines.slice(beforeLines.length - tail).forEach((line) => push('equal', line));
+
+    const count = (type) => changes.filter((change) => change.type === type).reduce((n, change) => n + change.lines.length, 0);
+    return { changes, added: count('added'), removed: count('removed') };
+};
+
+module.exports = { mergeText, diffLines };
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) throw new Error('JWT_SECRET environment variable is required');
+
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (username, sessionId) =>
+    jwt.sign({ username, sid: sessionId.toString() }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Throws jsonwebtoken's JsonWebTokenError / TokenExpiredError on a bad token.
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Only meaningful for a token that has already passed verifyAccessToken.
+const accessTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Refresh tokens are only ever stored hashed.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL);
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    signAccessToken,
+    verifyAccessToken,
+    accessTokenExpiry,
+    generateRefreshToken,
+    hashToken,
+    refreshTokenExpiry,
+};
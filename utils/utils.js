@@ -1,43 +1,39 @@
-const NodeCache = require("node-cache");
 const { query } = require("express-validator");
 const logger = require("./logger");
-const axios = require("axios");
+const { createCache } = require("./cache");
+const { getRequestIP } = require("./ip");
+const { lookupCountry } = require("./geoip");
 
-const cache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+const searchCache = createCache({ name: "search" });
 
-const getIP = async (req) => {
-    let ip = (req.headers["x-forwarded-for"] || req.socket.remoteAddress || "")
-        .split(",")[0]
-        .trim();
-    if (["::1", "127.0.0.1"].includes(ip)) {
-        try {
-            const { data } = await axios.get("https://api64.ipify.org?format=json");
-            ip = data.ip;
-        } catch (error) {
-            logger.warn("Failed to fetch external IP, using UNKNOWN.");
-            ip = "UNKNOWN";
-        }
-    }
-    return ip;
+// Seconds a search result stays fresh, per vertical; news goes stale fastest.
+// Override with SEARCH_CACHE_TTL_<VERTICAL>, e.g. SEARCH_CACHE_TTL_NEWS=60.
+// Stale results are served for as long again while they are refreshed.
+const defaultSearchTtl = {
+    web: 600,
+    news: 120,
+    video: 1800,
+    image: 3600,
+    all: 300,
+    suggest: 3600,
+};
+
+const searchCacheTtl = (vertical) => {
+    const ttl = Number(process.env[`SEARCH_CACHE_TTL_${vertical.toUpperCase()}`]) || defaultSearchTtl[vertical] || defaultSearchTtl.web;
+    return { ttl, staleTtl: ttl };
 };
 
-const getGeoData = async (ip) => {
+// Country of the request's client from the local geo-IP database, or null.
+const getGeoData = async (req) => {
+    const ip = getRequestIP(req);
     try {
-        const { data } = await axios.get(`http://ip-api.com/json/${ip}`);
-        return data?.countryCode || "ALL";
+        return await lookupCountry(ip);
     } catch (error) {
-        logger.error(`GeoData API error for IP ${ip}: ${error.message}`);
-        return "ALL";
+        logger.error(`Geo-IP lookup error for IP ${ip}: ${error.message}`);
+        return null;
     }
 };
 
-const freshnessMap = {
-    day: "pd",
-    week: "pw",
-    month: "pm",
-    year: "py",
-};
-
 const validateSearch = [
     query("q")
         .trim()
@@ -61,8 +57,24 @@ const validateSearch = [
         .withMessage("Invalid freshness value."),
     query("type")
         .optional()
-        .isIn(["news", "video", "image", null])
+        .isIn(["all", "web", "news", "video", "image", null])
         .withMessage("Invalid type value."),
+    query("country")
+        .optional()
+        .isISO31661Alpha2()
+        .withMessage("Country must be a two-letter country code.")
+        .toUpperCase(),
+    query("lang")
+        .optional()
+        .matches(/^[a-z]{2}(-[a-z]{2})?$/i)
+        .withMessage("Invalid lang value.")
+        .toLowerCase(),
 ];
 
-module.exports = { cache, validateSearch, freshnessMap, getGeoData, getIP };
+module.exports = {
+    searchCache,
+    searchCacheTtl,
+    validateSearch,
+    getGeoData,
+    getRequestIP,
+};
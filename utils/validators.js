@@ -0,0 +1,456 @@
+const { body, checkExact, matchedData, validationResult } = require("express-validator");
+const { AppError } = require("./errors");
+const TabGroup = require("../models/tabGroup");
+const History = require("../models/history");
+const User = require("../models/user");
+
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 512;
+const MAX_GROUP_LENGTH = 64;
+const MAX_WINDOW_ID_LENGTH = 64;
+const MAX_BULK_TABS = 100;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_QUERY_LENGTH = 256;
+const MAX_HISTORY_PAGE = 200;
+const MAX_BULK_DELETE = 500;
+const MAX_NOTE_LENGTH = 20000;
+const MAX_FOLDER_NAME_LENGTH = 128;
+const MAX_SNAPSHOT_NAME_LENGTH = 128;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const RETENTION_FIELDS = ["history", "closedTabs"];
+const SEARCH_PREFERENCE_FIELDS = ["safesearch", "country", "language", "resultsPerPage", "verticals"];
+const SYNC_COLLECTIONS = ["tabs", "tabGroups", "shortcuts", "history", "bookmarks", "bookmarkFolders", "notes"];
+
+const id = (field = "id") =>
+    body(field).isMongoId().withMessage(`${field} must be a valid id.`);
+
+// Optional reference that may also be null (e.g. the root folder).
+const parentRef = (field) =>
+    body(field)
+        .optional({ values: "null" })
+        .isMongoId()
+        .withMessage(`${field} must be a valid id or null.`);
+
+// Required reference where null is meaningful (e.g. "no group").
+const nullableRef = (field) =>
+    body(field)
+        .custom((value) => value === null || (typeof value === "string" && /^[a-f\d]{24}$/i.test(value)))
+        .withMessage(`${field} must be a valid id or null.`);
+
+const position = () =>
+    body("position")
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage("position must be a non-negative integer.")
+        .toInt();
+
+const tags = () => [
+    body("tags")
+        .optional()
+        .isArray({ max: MAX_TAGS })
+        .withMessage(`tags must be an array of at most ${MAX_TAGS} items.`),
+    body("tags.*")
+        .isString()
+        .withMessage("Each tag must be a string.")
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: MAX_TAG_LENGTH })
+        .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters.`),
+];
+
+const description = () =>
+    body("description")
+        .optional()
+        .isString()
+        .withMessage("description must be a string.")
+        .bail()
+        .trim()
+        .isLength({ max: MAX_DESCRIPTION_LENGTH })
+        .withMessage(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+
+const text = (field, max) =>
+    body(field)
+        .isString()
+        .withMessage(`${field} must be a string.`)
+        .bail()
+        .trim()
+        .isLength({ min: 1, max })
+        .withMessage(`${field} must be between 1 and ${max} characters.`);
+
+// Note bodies are kept exactly as sent: trimming would eat Markdown indentation
+// and trailing newlines, and the stored text must match the `base` clients send
+// for merges. Whitespace-only content still counts as empty.
+const noteContent = (field = "content") =>
+    body(field)
+        .isString()
+        .withMessage(`${field} must be a string.`)
+        .bail()
+        .custom((value) => value.trim().length > 0)
+        .withMessage(`${field} must not be empty.`)
+        .bail()
+        .isLength({ max: MAX_NOTE_LENGTH })
+        .withMessage(`${field} must be at most ${MAX_NOTE_LENGTH} characters.`);
+
+const url = (field = "url") =>
+    text(field, MAX_URL_LENGTH)
+        .bail()
+        .isURL({ protocols: ["http", "https"], require_protocol: true })
+        .withMessage(`${field} must be a valid http(s) URL.`);
+
+const boolean = (field) =>
+    body(field)
+        .optional()
+        .isBoolean()
+        .withMessage(`${field} must be a boolean.`)
+        .toBoolean();
+
+const timestamp = (field = "timestamp") =>
+    body(field)
+        .optional()
+        .isISO8601()
+        .withMessage(`${field} must be an ISO 8601 date.`)
+        .toDate();
+
+const version = () =>
+    body("version")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("version must be a positive integer.")
+        .toInt();
+
+const revision = (field) =>
+    body(field)
+        .isInt({ min: 1 })
+        .withMessage(`${field} must be a positive integer.`)
+        .toInt();
+
+// Optional note metadata; `url` and `tabId` accept null to detach the note.
+const noteFields = () => [
+    body("title")
+        .optional()
+        .isString()
+        .withMessage("title must be a string.")
+        .bail()
+        .trim()
+        .isLength({ max: MAX_TITLE_LENGTH })
+        .withMessage(`title must be at most ${MAX_TITLE_LENGTH} characters.`),
+    ...tags(),
+    boolean("pinned"),
+    boolean("archived"),
+    body("url")
+        .optional()
+        .if((value) => value !== null)
+        .isString()
+        .withMessage("url must be a string or null.")
+        .bail()
+        .trim()
+        .isLength({ max: MAX_URL_LENGTH })
+        .withMessage(`url must be at most ${MAX_URL_LENGTH} characters.`)
+        .bail()
+        .isURL({ protocols: ["http", "https"], require_protocol: true })
+        .withMessage("url must be a valid http(s) URL."),
+    nullableRef("tabId").optional(),
+];
+
+// Declared payload schema per action; fields not listed here are rejected.
+const actionSchemas = {
+    createTab: [
+        text("title", MAX_TITLE_LENGTH),
+        url(),
+        parentRef("groupId"),
+        text("windowId", MAX_WINDOW_ID_LENGTH).optional(),
+        position(),
+    ],
+    closeTab: [id()],
+    groupTab: [
+        id(),
+        // `newGroup` (a group name) is the pre-TabGroup form, still accepted for older clients.
+        body("groupId")
+            .if(body("newGroup").not().exists())
+            .custom((value) => value === null || (typeof value === "string" && /^[a-f\d]{24}$/i.test(value)))
+            .withMessage("groupId must be a valid id or null."),
+        text("newGroup", MAX_GROUP_LENGTH)
+            .optional()
+            .bail()
+            .custom((value, { req }) => req.body.groupId === undefined)
+            .withMessage("Pass either groupId or newGroup, not both."),
+    ],
+    moveTabs: [
+        body("ids")
+            .isArray({ min: 1, max: MAX_BULK_TABS })
+            .withMessage(`ids must be an array of 1 to ${MAX_BULK_TABS} tab ids.`)
+            .bail()
+            .custom((ids) => new Set(ids).size === ids.length)
+            .withMessage("ids must not contain duplicates."),
+        body("ids.*").isMongoId().withMessage("Each id must be a valid id."),
+        // Omitted keeps each tab's group; null ungroups them.
+        nullableRef("groupId").optional(),
+        text("windowId", MAX_WINDOW_ID_LENGTH).optional(),
+        position(),
+    ],
+    getTabs: [],
+    getClosedTabs: [
+        body("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("limit must be between 1 and 100.")
+            .toInt(),
+    ],
+    reopenTab: [id()],
+
+    saveSnapshot: [text("name", MAX_SNAPSHOT_NAME_LENGTH)],
+    getSnapshots: [],
+    restoreSnapshot: [id(), boolean("replace")],
+    deleteSnapshot: [id()],
+
+    createTabGroup: [
+        text("name", MAX_GROUP_LENGTH),
+        body("color")
+            .optional()
+            .isIn(TabGroup.COLORS)
+            .withMessage(`color must be one of: ${TabGroup.COLORS.join(", ")}.`),
+        boolean("collapsed"),
+        text("windowId", MAX_WINDOW_ID_LENGTH).optional(),
+        position(),
+    ],
+    updateTabGroup: [
+        id(),
+        text("name", MAX_GROUP_LENGTH).optional(),
+        body("color")
+            .optional()
+            .isIn(TabGroup.COLORS)
+            .withMessage(`color must be one of: ${TabGroup.COLORS.join(", ")}.`),
+        boolean("collapsed"),
+        position(),
+    ],
+    deleteTabGroup: [id(), boolean("closeTabs")],
+    getTabGroups: [],
+
+    addShortcut: [text("title", MAX_TITLE_LENGTH), url()],
+    getShortcuts: [],
+    deleteShortcut: [id()],
+
+    addHistory: [text("title", MAX_TITLE_LENGTH), url(), timestamp()],
+    getHistory: [
+        body("cursor").optional().isString().withMessage("cursor must be a string."),
+        body("limit")
+            .optional()
+            .isInt({ min: 1, max: MAX_HISTORY_PAGE })
+            .withMessage(`limit must be between 1 and ${MAX_HISTORY_PAGE}.`)
+            .toInt(),
+        timestamp("from"),
+        timestamp("to"),
+        text("domain", MAX_DOMAIN_LENGTH).optional(),
+        text("q", MAX_QUERY_LENGTH).optional(),
+        body("groupBy")
+            .optional()
+            .isIn(["day", "visit"])
+            .withMessage("groupBy must be day or visit."),
+    ],
+    deleteHistory: [
+        body("ids")
+            .optional()
+            // Query strings carry them comma-separated
+            .customSanitizer((value) => (typeof value === "string" ? value.split(",") : value))
+            .isArray({ min: 1, max: MAX_BULK_DELETE })
+            .withMessage(`ids must be an array of 1 to ${MAX_BULK_DELETE} ids.`),
+        body("ids.*").isMongoId().withMessage("Each id must be a valid id."),
+        text("domain", MAX_DOMAIN_LENGTH).optional(),
+        body("range")
+            .optional()
+            .isIn(Object.keys(History.RANGES))
+            .withMessage(`range must be one of: ${Object.keys(History.RANGES).join(", ")}.`),
+        timestamp("from"),
+        timestamp("to"),
+        boolean("all"),
+    ],
+    deleteHistoryEntry: [id()],
+
+    addBookmark: [
+        text("title", MAX_TITLE_LENGTH),
+        url(),
+        description(),
+        ...tags(),
+        parentRef("folderId"),
+        position(),
+        timestamp(),
+    ],
+    updateBookmark: [
+        id(),
+        text("title", MAX_TITLE_LENGTH).optional(),
+        url().optional(),
+        description(),
+        ...tags(),
+        version(),
+    ],
+    moveBookmark: [id(), parentRef("folderId"), position()],
+    deleteBookmark: [id()],
+    getBookmarks: [],
+
+    createFolder: [text("name", MAX_FOLDER_NAME_LENGTH), parentRef("parentId"), position()],
+    renameFolder: [id(), text("name", MAX_FOLDER_NAME_LENGTH)],
+    moveFolder: [id(), parentRef("parentId"), position()],
+    deleteFolder: [id()],
+
+    addNote: [
+        noteContent(),
+        ...noteFields(),
+        timestamp(),
+    ],
+    updateNote: [
+        id(),
+        noteContent().optional(),
+        ...noteFields(),
+        version(),
+        body("base")
+            .optional()
+            .isString()
+            .withMessage("base must be a string.")
+            .isLength({ max: MAX_NOTE_LENGTH })
+            .withMessage(`base must be at most ${MAX_NOTE_LENGTH} characters.`),
+    ],
+    deleteNote: [id()],
+    getNotes: [boolean("archived"), boolean("pinned")],
+    getNotesByTag: [
+        text("tag", MAX_TAG_LENGTH),
+        boolean("archived"),
+    ],
+    getNotesForUrl: [url()],
+    previewNote: [id()],
+    renderMarkdown: [noteContent()],
+
+    getNoteRevisions: [id()],
+    diffNoteRevisions: [
+        id(),
+        revision("from"),
+        revision("to").optional(),
+    ],
+    restoreNoteRevision: [id(), revision("version")],
+
+    getSettings: [],
+    updateSettings: [
+        body("retention")
+            .optional()
+            .isObject()
+            .withMessage("retention must be an object.")
+            .bail()
+            .custom((retention) => Object.keys(retention).every((key) => RETENTION_FIELDS.includes(key)))
+            .withMessage(`retention may only contain: ${RETENTION_FIELDS.join(", ")}.`),
+        ...RETENTION_FIELDS.map((field) =>
+            body(`retention.${field}`)
+                .optional()
+                .custom((value) => User.RETENTION_DAYS.includes(value))
+                .withMessage(`retention.${field} must be one of: 30, 90, 365 or null (forever).`)
+        ),
+        body("search")
+            .optional()
+            .isObject()
+            .withMessage("search must be an object.")
+            .bail()
+            .custom((search) => Object.keys(search).every((key) => SEARCH_PREFERENCE_FIELDS.includes(key)))
+            .withMessage(`search may only contain: ${SEARCH_PREFERENCE_FIELDS.join(", ")}.`),
+        body("search.safesearch")
+            .optional()
+            .isIn(User.SAFESEARCH_LEVELS)
+            .withMessage(`search.safesearch must be one of: ${User.SAFESEARCH_LEVELS.join(", ")}.`),
+        body("search.country")
+            .optional()
+            .if((value) => value !== null)
+            .isISO31661Alpha2()
+            .withMessage("search.country must be a two-letter country code or null.")
+            .toUpperCase(),
+        body("search.language")
+            .optional()
+            .if((value) => value !== null)
+            .matches(/^[a-z]{2}(-[a-z]{2})?$/i)
+            .withMessage("search.language must be a language code such as en or pt-br, or null.")
+            .toLowerCase(),
+        body("search.resultsPerPage")
+            .optional()
+            .isInt({ min: 1, max: User.MAX_RESULTS_PER_PAGE })
+            .withMessage(`search.resultsPerPage must be between 1 and ${User.MAX_RESULTS_PER_PAGE}.`)
+            .toInt(),
+        body("search.verticals")
+            .optional()
+            .isArray({ min: 1, max: User.SEARCH_VERTICALS.length })
+            .withMessage("search.verticals must be a non-empty array.")
+            .bail()
+            .custom((verticals) => verticals.every((vertical) => User.SEARCH_VERTICALS.includes(vertical)) && new Set(verticals).size === verticals.length)
+            .withMessage(`search.verticals must contain distinct values from: ${User.SEARCH_VERTICALS.join(", ")}.`),
+    ],
+
+    sync: [
+        body("cursors")
+            .optional()
+            .isObject()
+            .withMessage("cursors must be an object.")
+            .bail()
+            .custom((cursors) => Object.keys(cursors).every((name) => SYNC_COLLECTIONS.includes(name)))
+            .withMessage(`cursors may only contain: ${SYNC_COLLECTIONS.join(", ")}.`),
+        ...SYNC_COLLECTIONS.map((name) =>
+            body(`cursors.${name}`)
+                .optional({ values: "null" })
+                .isString()
+                .withMessage(`cursors.${name} must be a string or null.`)
+        ),
+    ],
+
+    replayChanges: [
+        body("since")
+            .isInt({ min: 0 })
+            .withMessage("since must be a non-negative integer.")
+            .toInt(),
+    ],
+
+    revokeSession: [id("sessionId")],
+};
+
+// Validates a payload against its action schema and returns only the declared
+// fields, sanitized. Throws an AppError with field-level details on failure.
+const validateAction = async (action, data) => {
+    const schema = actionSchemas[action];
+    if (!schema) return data;
+
+    const req = { body: data && typeof data === "object" ? data : {} };
+    await checkExact(schema, {
+        message: (fields) =>
+            `Unknown field(s): ${fields.map(({ path }) => path).join(", ")}`,
+    }).run(req);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError("Invalid payload", {
+            code: "VALIDATION_ERROR",
+            details: errors.array().map((error) => ({
+                field: error.path || error.fields?.map(({ path }) => path).join(", "),
+                message: error.msg,
+            })),
+        });
+    }
+
+    return matchedData(req);
+};
+
+// Express counterpart of validateAction; route params are validated with the body.
+const validatePayload = (action) => async (req, res, next) => {
+    try {
+        req.payload = await validateAction(action, { ...req.body, ...req.params });
+        next();
+    } catch (error) {
+        if (!(error instanceof AppError)) return next(error);
+        res.status(error.status).json({ error: error.message, details: error.details });
+    }
+};
+
+const limits = {
+    MAX_URL_LENGTH,
+    MAX_TITLE_LENGTH,
+    MAX_FOLDER_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+};
+
+module.exports = { actionSchemas, limits, validateAction, validatePayload };
@@ -0,0 +1,814 @@
+const WebSocket = require('ws');
+const User = require('../models/user');
+const tabService = require('../services/tabService');
+const shortcutService = require('../services/shortcutService');
+const historyService = require('../services/historyService');
+const bookmarkService = require('../services/bookmarkService');
+const noteService = require('../services/noteService');
+const noteRevisionService = require('../services/noteRevisionService');
+const sessionService = require('../services/sessionService');
+const changeService = require('../services/changeService');
+const syncService = require('../services/syncService');
+const settingsService = require('../services/settingsService');
+const { AppError, notFound } = require('../utils/errors');
+const { validateAction } = require('../utils/validators');
+const { accessTokenExpiry } = require('../utils/tokenHelper');
+const logger = require('../utils/logger');
+
+let wss;
+
+// Close codes sent to clients (4000-4999 is the application range)
+const CLOSE_SESSION_REVOKED = 4001;
+const CLOSE_TOKEN_EXPIRED = 4002;
+
+// Longest delay setTimeout accepts; later expiries are reached in steps.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// The access token may arrive as a `sessiontoken` header, as the second
+// subprotocol (`new WebSocket(url, ['wraply', token])`) or as `?token=`.
+const getHandshakeToken = (req) => {
+    if (req.headers['sessiontoken']) return req.headers['sessiontoken'];
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map((protocol) => protocol.trim())
+        .filter((protocol) => protocol && protocol !== 'wraply');
+    if (protocols.length) return protocols[0];
+
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+const rejectUpgrade = (socket, status, message) => {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+// 📌 Initialize WebSocket Server
+const initializeWebSocketServer = (server) => {
+    wss = new WebSocket.Server({
+        noServer: true,
+        handleProtocols: (protocols) => (protocols.has('wraply') ? 'wraply' : false),
+    });
+    logger.info('WebSocket server initialized');
+
+    // 📌 Authenticate once during the HTTP upgrade
+    server.on('upgrade', async (req, socket, head) => {
+        try {
+            const token = getHandshakeToken(req);
+            const session = token && (await sessionService.verifySession(token));
+            const user = session && (await User.findOne({ username: session.username }));
+
+            if (!user) {
+                logger.warn('Rejected WebSocket upgrade with invalid session.');
+                return rejectUpgrade(socket, 401, 'Unauthorized');
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                ws.username = user.username;
+                ws.sessionId = session._id.toString();
+                ws.session = session;
+                ws.tokenExpiresAt = accessTokenExpiry(token).getTime();
+                wss.emit('connection', ws, req);
+            });
+        } catch (error) {
+            logger.error(`Error during WebSocket upgrade: ${error.message}`, error);
+            rejectUpgrade(socket, 500, 'Internal Server Error');
+        }
+    });
+
+    wss.on('connection', (ws) => {
+        const { username } = ws;
+        logger.info(`New WebSocket connection established for user ${username}`);
+        ws.send(JSON.stringify({ status: 'valid', message: 'Session verified' }));
+        scheduleTokenExpiry(ws);
+
+        ws.on('message', async (message) => {
+            let requestId = null;
+            let action = null;
+
+            try {
+                let data;
+                try {
+                    ({ action, requestId = null, data } = JSON.parse(message));
+                } catch (error) {
+                    throw new AppError('Malformed message', { code: 'INVALID_MESSAGE' });
+                }
+
+                if (Date.now() >= ws.tokenExpiresAt) return closeExpired(ws);
+                if (!(await sessionService.touchSession(ws.session))) {
+                    ws.send(JSON.stringify({ action: 'logout', message: 'Session revoked' }));
+                    return ws.close(CLOSE_SESSION_REVOKED, 'Session revoked');
+                }
+
+                const payload = await validateAction(action, data || {});
+                let result;
+
+                // 🟢 Handle tab-related actions
+                switch (action) {
+                    case 'createTab':
+                        result = await handleCreateTab(ws, username, payload);
+                        break;
+                    case 'closeTab':
+                        result = await handleCloseTab(ws, username, payload.id);
+                        break;
+                    case 'groupTab':
+                        result = await handleGroupTab(ws, username, payload.id, payload.groupId, payload.newGroup);
+                        break;
+                    case 'moveTabs':
+                        result = await handleMoveTabs(ws, username, payload);
+                        break;
+                    case 'getTabs':
+                        result = await handleGetTabs(ws, username);
+                        break;
+                    case 'getClosedTabs':
+                        result = await handleGetClosedTabs(ws, username, payload.limit);
+                        break;
+                    case 'reopenTab':
+                        result = await handleReopenTab(ws, username, payload.id);
+                        break;
+
+                    // 🟢 Tab groups
+                    case 'createTabGroup':
+                        result = await handleCreateTabGroup(ws, username, payload);
+                        break;
+                    case 'updateTabGroup':
+                        result = await handleUpdateTabGroup(ws, username, payload);
+                        break;
+                    case 'deleteTabGroup':
+                        result = await handleDeleteTabGroup(ws, username, payload.id, payload.closeTabs);
+                        break;
+                    case 'getTabGroups':
+                        result = await handleGetTabGroups(ws, username);
+                        break;
+
+                    // 🟢 Tab session snapshots
+                    case 'saveSnapshot':
+                        result = await handleSaveSnapshot(ws, username, payload.name);
+                        break;
+                    case 'getSnapshots':
+                        result = await handleGetSnapshots(ws, username);
+                        break;
+                    case 'restoreSnapshot':
+                        result = await handleRestoreSnapshot(ws, username, payload.id, payload.replace);
+                        break;
+                    case 'deleteSnapshot':
+                        result = await handleDeleteSnapshot(ws, username, payload.id);
+                        break;
+
+                    // 🟢 Handle new features
+                    case 'addShortcut':
+                        result = await handleAddShortcut(ws, username, payload);
+                        break;
+                    case 'getShortcuts':
+                        result = await handleGetShortcuts(ws, username);
+                        break;
+                    case 'deleteShortcut':
+                        result = await handleDeleteShortcut(ws, username, payload.id);
+                        break;
+
+                    case 'addHistory':
+                        result = await handleAddHistory(ws, username, payload);
+                        break;
+                    case 'getHistory':
+                        result = await handleGetHistory(ws, username, payload);
+                        break;
+                    case 'deleteHistory':
+                        result = await handleDeleteHistory(ws, username, payload);
+                        break;
+
+                    case 'addBookmark':
+                        result = await handleAddBookmark(ws, username, payload);
+                        break;
+                    case 'updateBookmark':
+                        result = await handleUpdateBookmark(ws, username, payload);
+                        break;
+                    case 'deleteBookmark':
+                        result = await handleDeleteBookmark(ws, username, payload.id);
+                        break;
+                    case 'getBookmarks':
+                        result = await handleGetBookmarks(ws, username);
+                        break;
+                    case 'moveBookmark':
+                        result = await handleMoveBookmark(ws, username, payload);
+                        break;
+
+                    case 'createFolder':
+                        result = await handleCreateFolder(ws, username, payload);
+                        break;
+                    case 'renameFolder':
+                        result = await handleRenameFolder(ws, username, payload.id, payload.name);
+                        break;
+                    case 'moveFolder':
+                        result = await handleMoveFolder(ws, username, payload);
+                        break;
+                    case 'deleteFolder':
+                        result = await handleDeleteFolder(ws, username, payload.id);
+                        break;
+
+                    case 'addNote':
+                        result = await handleAddNote(ws, username, payload);
+                        break;
+                    case 'updateNote':
+                        result = await handleUpdateNote(ws, username, payload);
+                        break;
+                    case 'deleteNote':
+                        result = await handleDeleteNote(ws, username, payload.id);
+                        break;
+                    case 'getNotes':
+                        result = await handleGetNotes(ws, username, payload);
+                        break;
+                    case 'getNotesByTag':
+                        result = await handleGetNotesByTag(ws, username, payload);
+                        break;
+                    case 'getNotesForUrl':
+                        result = await handleGetNotesForUrl(ws, username, payload.url);
+                        break;
+                    case 'previewNote':
+                        result = await handlePreviewNote(ws, username, payload.id);
+                        break;
+                    case 'renderMarkdown':
+                        result = { html: noteService.renderPreview(payload.content) };
+                        break;
+                    case 'getNoteRevisions':
+                        result = await handleGetNoteRevisions(ws, username, payload.id);
+                        break;
+                    case 'diffNoteRevisions':
+                        result = await handleDiffNoteRevisions(ws, username, payload);
+                        break;
+                    case 'restoreNoteRevision':
+                        result = await handleRestoreNoteRevision(ws, username, payload.id, payload.version);
+                        break;
+
+                    // 🟢 Settings
+                    case 'getSettings':
+                        result = await handleGetSettings(ws, username);
+                        break;
+                    case 'updateSettings':
+                        result = await handleUpdateSettings(ws, username, payload);
+                        break;
+
+                    // 🟢 Incremental sync with per-collection cursors
+                    case 'sync':
+                        result = await handleSync(ws, username, payload.cursors);
+                        break;
+
+                    // 🟢 Catch up on changes missed while disconnected
+                    case 'replayChanges':
+                        result = await handleReplayChanges(ws, username, payload.since);
+                        break;
+
+                    default:
+                        logger.warn(`Unknown action received: ${action}`);
+                        throw new AppError('Unknown action', { code: 'UNKNOWN_ACTION' });
+                }
+
+                sendAck(ws, requestId, action, result);
+            } catch (error) {
+                if (!(error instanceof AppError)) {
+                    logger.error(`Error processing ${action} for user ${username}: ${error.message}`, error);
+                }
+                sendError(ws, requestId, action, error);
+            }
+        });
+
+        ws.on('close', () => {
+            clearTimeout(ws.expiryTimer);
+            logger.info(`WebSocket connection closed for user ${username}`);
+        });
+
+        ws.on('error', (error) => {
+            logger.error('WebSocket error:', error);
+        });
+
+    });
+};
+
+// 📌 Close the socket once its access token expires; the client refreshes
+// the token and reconnects. Revocations are handled by touchSession and
+// disconnectSessions; this only bounds how long a socket outlives its token.
+const scheduleTokenExpiry = (ws) => {
+    const remaining = ws.tokenExpiresAt - Date.now();
+    if (remaining <= 0) return closeExpired(ws);
+    ws.expiryTimer = setTimeout(() => scheduleTokenExpiry(ws), Math.min(remaining, MAX_TIMER_DELAY));
+    ws.expiryTimer.unref();
+};
+
+const closeExpired = (ws) => {
+    logger.info(`Closing WebSocket for user ${ws.username}: access token expired`);
+    ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired');
+};
+
+// 📌 Broadcast function to update all connected clients of a user
+const broadcastToUser = (username, data) => {
+    if (!wss) return;
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client.username === username) {
+            try {
+                client.send(JSON.stringify(data));
+            } catch (error) {
+                logger.error(`Error broadcasting to user ${username}: ${error.message}`);
+            }
+        }
+    });
+};
+
+// 📌 Record a change in the user's change log and push it to all their devices.
+// Devices that were offline catch up through `replayChanges` using `seq`.
+const publishChange = async (username, action, data = {}) => {
+    let seq = null;
+    try {
+        const event = await changeService.recordChange(username, action, data);
+        if (event) seq = event.seq;
+    } catch (error) {
+        logger.error(`Error recording ${action} change for user ${username}: ${error.message}`);
+    }
+    broadcastToUser(username, { type: 'change', seq, action, data });
+};
+
+// 📌 Typed response envelopes; requestId is echoed so clients can match replies
+const sendAck = (ws, requestId, action, data = {}) => {
+    ws.send(JSON.stringify({ type: 'ack', requestId, action, data }));
+};
+
+const sendError = (ws, requestId, action, error) => {
+    const { code, message, details } = error instanceof AppError
+        ? error
+        : { code: 'INTERNAL_ERROR', message: 'Internal server error' };
+    ws.send(JSON.stringify({ type: 'error', requestId, action, error: { code, message, details } }));
+};
+
+// 📌 Disconnect the sockets bound to revoked sessions
+const disconnectSessions = (sessionIds, message) => {
+    if (!wss || !sessionIds.length) return;
+    wss.clients.forEach(client => {
+        if (client.sessionId && sessionIds.includes(client.sessionId)) {
+            try {
+                client.send(JSON.stringify({ action: 'logout', message }));
+                client.close(CLOSE_SESSION_REVOKED, message);
+            } catch (error) {
+                logger.error(`Error disconnecting session ${client.sessionId}: ${error.message}`);
+            }
+        }
+    });
+};
+
+const handleCreateTab = async (ws, username, tabData) => {
+    const newTab = await tabService.createTab(username, tabData);
+    await publishChange(username, 'tabCreated', { tab: newTab });
+    logger.info(`Tab created for user ${username}: ${newTab._id}`);
+    return { tab: newTab };
+};
+
+const handleCloseTab = async (ws, username, tabId) => {
+    if (!tabId) {
+        logger.warn(`Missing tabId for closeTab action from user ${username}.`);
+        throw new AppError('Missing tabId');
+    }
+
+    const tab = await tabService.closeTab(username, tabId);
+    if (!tab) {
+        logger.warn(`Tab not found or unauthorized for user ${username}: ${tabId}`);
+        throw notFound('Tab not found or unauthorized');
+    }
+
+    await publishChange(username, 'tabClosed', { tabId });
+    logger.info(`Tab closed for user ${username}: ${tabId}`);
+    return { tab };
+};
+
+// `newGroup` is the deprecated group-name form of `groupId`.
+const handleGroupTab = async (ws, username, tabId, groupId, newGroup) => {
+    if (!tabId) {
+        logger.warn(`Missing tabId for groupTab action from user ${username}.`);
+        throw new AppError('Missing tabId');
+    }
+
+    const tab = newGroup === undefined
+        ? await tabService.groupTab(username, tabId, groupId)
+        : await tabService.groupTabByName(username, tabId, newGroup);
+    if (!tab) {
+        logger.warn(`Tab not found or unauthorized for user ${username}: ${tabId}`);
+        throw notFound('Tab not found or unauthorized');
+    }
+
+    await publishChange(username, 'tabGrouped', { tabId, groupId: tab.groupId });
+    logger.info(`Tab grouped for user ${username}: ${tabId}, Group: ${tab.groupId}`);
+    return { tab };
+};
+
+const handleMoveTabs = async (ws, username, { ids, ...target }) => {
+    const tabs = await tabService.moveTabs(username, ids, target);
+    await publishChange(username, 'tabsMoved', { tabs });
+    logger.info(`${tabs.length} tabs moved for user ${username}`);
+    return { tabs };
+};
+
+const handleGetTabs = async (ws, username) => {
+    const tabs = await tabService.getTabs(username);
+    logger.info(`Tabs retrieved for user ${username}`);
+    return { tabs };
+};
+
+const handleGetClosedTabs = async (ws, username, limit) => {
+    const tabs = await tabService.getRecentlyClosedTabs(username, limit);
+    logger.info(`Recently closed tabs retrieved for user ${username}`);
+    return { tabs };
+};
+
+const handleReopenTab = async (ws, username, tabId) => {
+    const tab = await tabService.reopenTab(username, tabId);
+    if (!tab) {
+        logger.warn(`Closed tab not found for user ${username}: ${tabId}`);
+        throw notFound('Closed tab not found');
+    }
+
+    await publishChange(username, 'tabReopened', { tab });
+    logger.info(`Tab reopened for user ${username}: ${tabId}`);
+    return { tab };
+};
+
+// --------------------------------------
+// Tab Groups
+// --------------------------------------
+const handleCreateTabGroup = async (ws, username, groupData) => {
+    const group = await tabService.createGroup(username, groupData);
+    await publishChange(username, 'tabGroupCreated', { group });
+    logger.info(`Tab group created for user ${username}: ${group._id}`);
+    return { group };
+};
+
+const handleUpdateTabGroup = async (ws, username, { id, ...changes }) => {
+    const group = await tabService.updateGroup(username, id, changes);
+    if (!group) {
+        logger.warn(`Tab group not found for user ${username}: ${id}`);
+        throw notFound('Tab group not found');
+    }
+
+    await publishChange(username, 'tabGroupUpdated', { group });
+    logger.info(`Tab group updated for user ${username}: ${id}`);
+    return { group };
+};
+
+const handleDeleteTabGroup = async (ws, username, groupId, closeTabs = false) => {
+    const result = await tabService.deleteGroup(username, groupId, { closeTabs });
+    if (!result) {
+        logger.warn(`Tab group not found for user ${username}: ${groupId}`);
+        throw notFound('Tab group not found');
+    }
+
+    const { tabIds } = result;
+    await publishChange(username, 'tabGroupDeleted', { id: groupId, tabIds, closeTabs });
+    logger.info(`Tab group deleted for user ${username}: ${groupId}, ${closeTabs ? 'closed' : 'ungrouped'} ${tabIds.length} tabs`);
+    return { id: groupId, tabIds, closeTabs };
+};
+
+const handleGetTabGroups = async (ws, username) => {
+    const groups = await tabService.getGroups(username);
+    logger.info(`Tab groups retrieved for user ${username}`);
+    return { groups };
+};
+
+// --------------------------------------
+// Tab Snapshots
+// --------------------------------------
+const handleSaveSnapshot = async (ws, username, name) => {
+    const snapshot = await tabService.saveSnapshot(username, name);
+    await publishChange(username, 'snapshotSaved', { snapshot });
+    logger.info(`Snapshot saved for user ${username}: ${snapshot._id}`);
+    return { snapshot };
+};
+
+const handleGetSnapshots = async (ws, username) => {
+    const snapshots = await tabService.getSnapshots(username);
+    logger.info(`Snapshots retrieved for user ${username}`);
+    return { snapshots };
+};
+
+const handleRestoreSnapshot = async (ws, username, snapshotId, replace) => {
+    const result = await tabService.restoreSnapshot(username, snapshotId, { replace });
+    if (!result) {
+        logger.warn(`Snapshot not found for user ${username}: ${snapshotId}`);
+        throw notFound('Snapshot not found');
+    }
+
+    const { tabs, groups, closedTabIds, deletedGroupIds } = result;
+    await publishChange(username, 'snapshotRestored', { snapshotId, tabs, groups, closedTabIds, deletedGroupIds });
+    logger.info(`Snapshot restored for user ${username}: ${snapshotId}`);
+    return { tabs, groups, closedTabIds, deletedGroupIds };
+};
+
+const handleDeleteSnapshot = async (ws, username, snapshotId) => {
+    const snapshot = await tabService.deleteSnapshot(username, snapshotId);
+    if (!snapshot) {
+        logger.warn(`Snapshot not found for user ${username}: ${snapshotId}`);
+        throw notFound('Snapshot not found');
+    }
+
+    await publishChange(username, 'snapshotDeleted', { id: snapshotId });
+    logger.info(`Snapshot deleted for user ${username}: ${snapshotId}`);
+    return { id: snapshotId };
+};
+
+// --------------------------------------
+// Shortcuts Management
+// --------------------------------------
+const handleAddShortcut = async (ws, username, shortcutData) => {
+    const newShortcut = await shortcutService.addShortcut(username, shortcutData);
+    await publishChange(username, 'shortcutAdded', { shortcut: newShortcut });
+    logger.info(`Shortcut added for user ${username}: ${newShortcut._id}`);
+    return { shortcut: newShortcut };
+};
+
+const handleGetShortcuts = async (ws, username) => {
+    const shortcuts = await shortcutService.getShortcuts(username);
+    logger.info(`Shortcuts retrieved for user ${username}`);
+    return { shortcuts };
+};
+
+const handleDeleteShortcut = async (ws, username, shortcutId) => {
+    if (!shortcutId) {
+        logger.warn(`Missing shortcutId for deleteShortcut action from user ${username}.`);
+        throw new AppError('Missing shortcutId');
+    }
+
+    const result = await shortcutService.deleteShortcut(username, shortcutId);
+    if (!result) {
+        logger.warn(`Shortcut not found for user ${username}: ${shortcutId}`);
+        throw notFound('Shortcut not found');
+    }
+
+    await publishChange(username, 'shortcutDeleted', { id: shortcutId });
+    logger.info(`Shortcut deleted for user ${username}: ${shortcutId}`);
+    return { id: shortcutId };
+};
+
+// --------------------------------------
+// History Management
+// --------------------------------------
+const handleAddHistory = async (ws, username, historyData) => {
+    const entry = await historyService.addHistory(username, historyData);
+    await publishChange(username, 'historyAdded', { history: entry });
+    logger.info(`History added for user ${username}`);
+    return { history: entry };
+};
+
+const handleGetHistory = async (ws, username, options) => {
+    const result = await historyService.getHistory(username, options);
+    logger.info(`History retrieved for user ${username}`);
+    return result;
+};
+
+// With `all` the whole history is cleared and the event carries no ids.
+const handleDeleteHistory = async (ws, username, filters) => {
+    const { deletedCount, ids } = await historyService.deleteHistory(username, filters);
+    await publishChange(username, 'historyDeleted', ids ? { ids } : undefined);
+    logger.info(`History deleted for user ${username}: ${deletedCount} entries`);
+    return { deletedCount, ids };
+};
+
+// --------------------------------------
+// Bookmark Management
+// --------------------------------------
+const handleAddBookmark = async (ws, username, bookmarkData) => {
+    const bookmark = await bookmarkService.addBookmark(username, bookmarkData);
+    await publishChange(username, 'bookmarkAdded', { bookmark });
+    logger.info(`Bookmark added for user ${username}`);
+    return { bookmark };
+};
+
+const handleUpdateBookmark = async (ws, username, bookmarkData) => {
+    if (!bookmarkData.id) {
+        logger.warn(`Missing bookmarkData.id for updateBookmark action from user ${username}.`);
+        throw new AppError('Missing bookmarkData or bookmarkData.id');
+    }
+
+    const { id, ...changes } = bookmarkData;
+    const bookmark = await bookmarkService.updateBookmark(username, id, changes);
+    if (!bookmark) {
+        logger.warn(`Bookmark not found for user ${username}: ${bookmarkData.id}`);
+        throw notFound('Bookmark not found');
+    }
+
+    await publishChange(username, 'bookmarkUpdated', { bookmark });
+    logger.info(`Bookmark updated for user ${username}: ${bookmarkData.id}`);
+    return { bookmark };
+};
+
+const handleDeleteBookmark = async (ws, username, bookmarkId) => {
+    if (!bookmarkId) {
+        logger.warn(`Missing bookmarkId for deleteBookmark action from user ${username}.`);
+        throw new AppError('Missing bookmarkId');
+    }
+
+    const result = await bookmarkService.deleteBookmark(username, bookmarkId);
+    if (!result) {
+        logger.warn(`Bookmark not found for user ${username}: ${bookmarkId}`);
+        throw notFound('Bookmark not found');
+    }
+
+    await publishChange(username, 'bookmarkDeleted', { id: bookmarkId });
+    logger.info(`Bookmark deleted for user ${username}: ${bookmarkId}`);
+    return { id: bookmarkId };
+};
+
+const handleGetBookmarks = async (ws, username) => {
+    const { bookmarks, folders } = await bookmarkService.getBookmarks(username);
+    logger.info(`Bookmarks retrieved for user ${username}`);
+    return { bookmarks, folders };
+};
+
+const handleMoveBookmark = async (ws, username, { id, folderId, position }) => {
+    const bookmark = await bookmarkService.moveBookmark(username, id, folderId, position);
+    if (!bookmark) {
+        logger.warn(`Bookmark not found for user ${username}: ${id}`);
+        throw notFound('Bookmark not found');
+    }
+
+    await publishChange(username, 'bookmarkMoved', { bookmark });
+    logger.info(`Bookmark moved for user ${username}: ${id}`);
+    return { bookmark };
+};
+
+// --------------------------------------
+// Bookmark Folders
+// --------------------------------------
+const handleCreateFolder = async (ws, username, folderData) => {
+    const folder = await bookmarkService.createFolder(username, folderData);
+    await publishChange(username, 'folderCreated', { folder });
+    logger.info(`Folder created for user ${username}: ${folder._id}`);
+    return { folder };
+};
+
+const handleRenameFolder = async (ws, username, folderId, name) => {
+    const folder = await bookmarkService.renameFolder(username, folderId, name);
+    if (!folder) {
+        logger.warn(`Folder not found for user ${username}: ${folderId}`);
+        throw notFound('Folder not found');
+    }
+
+    await publishChange(username, 'folderRenamed', { folder });
+    logger.info(`Folder renamed for user ${username}: ${folderId}`);
+    return { folder };
+};
+
+const handleMoveFolder = async (ws, username, { id, parentId, position }) => {
+    const folder = await bookmarkService.moveFolder(username, id, parentId, position);
+    if (!folder) {
+        logger.warn(`Folder not found for user ${username}: ${id}`);
+        throw notFound('Folder not found');
+    }
+
+    await publishChange(username, 'folderMoved', { folder });
+    logger.info(`Folder moved for user ${username}: ${id}`);
+    return { folder };
+};
+
+const handleDeleteFolder = async (ws, username, folderId) => {
+    const result = await bookmarkService.deleteFolder(username, folderId);
+    if (!result) {
+        logger.warn(`Folder not found for user ${username}: ${folderId}`);
+        throw notFound('Folder not found');
+    }
+
+    await publishChange(username, 'folderDeleted', { id: folderId, folderIds: result.folderIds });
+    logger.info(`Folder deleted for user ${username}: ${folderId}`);
+    return { id: folderId, deleted: result.deleted };
+};
+
+// --------------------------------------
+// Notes Management
+// --------------------------------------
+const handleAddNote = async (ws, username, noteData) => {
+    const note = await noteService.addNote(username, noteData);
+    await publishChange(username, 'noteAdded', { note });
+    logger.info(`Note added for user ${username}`);
+    return { note };
+};
+
+const handleUpdateNote = async (ws, username, noteData) => {
+    if (!noteData.id) {
+        logger.warn(`Missing noteData.id for updateNote action from user ${username}.`);
+        throw new AppError('Missing noteData or noteData.id');
+    }
+
+    const { id, ...changes } = noteData;
+    const note = await noteService.updateNote(username, id, changes);
+    if (!note) {
+        logger.warn(`Note not found for user ${username}: ${noteData.id}`);
+        throw notFound('Note not found');
+    }
+
+    await publishChange(username, 'noteUpdated', { note });
+    logger.info(`Note updated for user ${username}: ${noteData.id}`);
+    return { note };
+};
+
+const handleDeleteNote = async (ws, username, noteId) => {
+    if (!noteId) {
+        logger.warn(`Missing noteId for deleteNote action from user ${username}.`);
+        throw new AppError('Missing noteId');
+    }
+
+    const result = await noteService.deleteNote(username, noteId);
+    if (!result) {
+        logger.warn(`Note not found for user ${username}: ${noteId}`);
+        throw notFound('Note not found');
+    }
+
+    await publishChange(username, 'noteDeleted', { id: noteId });
+    logger.info(`Note deleted for user ${username}: ${noteId}`);
+    return { id: noteId };
+};
+
+const handleGetNotes = async (ws, username, options) => {
+    const notes = await noteService.getNotes(username, options);
+    logger.info(`Notes retrieved for user ${username}`);
+    return { notes };
+};
+
+const handleGetNotesByTag = async (ws, username, { tag, ...options }) => {
+    const notes = await noteService.getNotesByTag(username, tag, options);
+    logger.info(`Notes retrieved for user ${username} by tag: ${tag}`);
+    return { tag, notes };
+};
+
+const handleGetNotesForUrl = async (ws, username, url) => {
+    const notes = await noteService.getNotesForUrl(username, url);
+    logger.info(`Notes retrieved for user ${username} for URL`);
+    return { url, notes };
+};
+
+const handlePreviewNote = async (ws, username, noteId) => {
+    const html = await noteService.previewNote(username, noteId);
+    if (html === null) {
+        logger.warn(`Note not found for user ${username}: ${noteId}`);
+        throw notFound('Note not found');
+    }
+    return { id: noteId, html };
+};
+
+const handleGetNoteRevisions = async (ws, username, noteId) => {
+    const revisions = await noteRevisionService.listRevisions(username, noteId);
+    if (!revisions) {
+        logger.warn(`Note not found for user ${username}: ${noteId}`);
+        throw notFound('Note not found');
+    }
+    return { id: noteId, revisions };
+};
+
+const handleDiffNoteRevisions = async (ws, username, { id, from, to }) => {
+    const diff = await noteRevisionService.diffRevisions(username, id, from, to);
+    if (!diff) {
+        logger.warn(`Note not found for user ${username}: ${id}`);
+        throw notFound('Note not found');
+    }
+    return { id, diff };
+};
+
+const handleRestoreNoteRevision = async (ws, username, noteId, version) => {
+    const note = await noteService.restoreRevision(username, noteId, version);
+    if (!note) {
+        logger.warn(`Note not found for user ${username}: ${noteId}`);
+        throw notFound('Note not found');
+    }
+
+    await publishChange(username, 'noteUpdated', { note, restoredFrom: version });
+    logger.info(`Note restored for user ${username}: ${noteId}, Version: ${version}`);
+    return { note };
+};
+
+// --------------------------------------
+// Settings
+// --------------------------------------
+const handleGetSettings = async (ws, username) => {
+    const settings = await settingsService.getSettings(username);
+    logger.info(`Settings retrieved for user ${username}`);
+    return { settings };
+};
+
+const handleUpdateSettings = async (ws, username, changes) => {
+    const settings = await settingsService.updateSettings(username, changes);
+    await publishChange(username, 'settingsUpdated', { settings });
+    logger.info(`Settings updated for user ${username}`);
+    return { settings };
+};
+
+// --------------------------------------
+// Delta Sync
+// --------------------------------------
+const handleSync = async (ws, username, cursors) => {
+    const result = await syncService.sync(username, cursors);
+    logger.info(`Sync completed for user ${username}`);
+    return result;
+};
+
+// --------------------------------------
+// Change Replay
+// --------------------------------------
+const handleReplayChanges = async (ws, username, since) => {
+    const result = await changeService.getChangesSince(username, since);
+    logger.info(`Replayed ${result.changes.length} changes for user ${username} since ${since}`);
+    return result;
+};
+
+module.exports = { initializeWebSocketServer, broadcastToUser, publishChange, disconnectSessions };